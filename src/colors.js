@@ -0,0 +1,200 @@
+// Color parsing, conversion and formatting shared by the Liquid color filters and the color providers
+
+const hexToRgbaCache = new Map(); // Cache for hex -> rgba conversions (significant speed boost)
+
+/**
+ * Converts hex color to rgba format (with caching)
+ */
+function hexToRgba(hex, alpha = 1) {
+  if (!hex || typeof hex !== 'string') return null;
+
+  const cacheKey = `${hex}-${alpha}`;
+  if (hexToRgbaCache.has(cacheKey)) {
+    return hexToRgbaCache.get(cacheKey);
+  }
+
+  // Remove # if present
+  hex = hex.replace('#', '');
+
+  // Handle shorthand hex (e.g., #fff or #fff8)
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex
+      .split('')
+      .map((char) => char + char)
+      .join('');
+  }
+
+  if (hex.length !== 6 && hex.length !== 8) return null;
+
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+  const a = hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : alpha;
+
+  const result = { r, g, b, a };
+  hexToRgbaCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Converts HSL (h in degrees, s/l in 0-100) to RGB (0-255)
+ */
+function hslToRgb(h, s, l) {
+  h = (((h % 360) + 360) % 360) / 360;
+  s = Math.max(0, Math.min(100, s)) / 100;
+  l = Math.max(0, Math.min(100, l)) / 100;
+
+  if (s === 0) {
+    const gray = Math.round(l * 255);
+    return { r: gray, g: gray, b: gray };
+  }
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hueToChannel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+
+  return {
+    r: Math.round(hueToChannel(h + 1 / 3) * 255),
+    g: Math.round(hueToChannel(h) * 255),
+    b: Math.round(hueToChannel(h - 1 / 3) * 255),
+  };
+}
+
+/**
+ * Converts RGB (0-255) to HSL (h in degrees, s/l in 0-100). Pass round = false to keep fractional components
+ */
+function rgbToHsl(r, g, b, round = true) {
+  const fix = round ? Math.round : (number) => number;
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+
+  if (max === min) {
+    return { h: 0, s: 0, l: fix(l * 100) };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) {
+    h = (g - b) / d + (g < b ? 6 : 0);
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+
+  return { h: fix(h * 60), s: fix(s * 100), l: fix(l * 100) };
+}
+
+/**
+ * Parses a CSS color value: hex, rgb()/rgba(), hsl()/hsla() and bare "r, g, b, a" / "r g b" triplets
+ * (the format produced for scheme.settings.*.rgba / .rgb). Returns { r, g, b, a, format } or null
+ */
+function parseColorValue(value) {
+  if (!value || typeof value !== 'string') return null;
+  value = value.trim();
+
+  const channel = (raw, max) => {
+    const num = parseFloat(raw);
+    return raw.endsWith('%') ? (num / 100) * max : num;
+  };
+  const isByte = (num) => !isNaN(num) && num >= 0 && num <= 255;
+
+  if (/^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(value)) {
+    const rgba = hexToRgba(value);
+    return rgba ? { ...rgba, format: 'hex' } : null;
+  }
+
+  const rgbMatch = value.match(
+    /^rgba?\(\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)\s*[,\s]\s*([\d.]+%?)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/i,
+  );
+  if (rgbMatch) {
+    const [r, g, b] = [rgbMatch[1], rgbMatch[2], rgbMatch[3]].map((raw) => Math.round(channel(raw, 255)));
+    const a = rgbMatch[4] !== undefined ? channel(rgbMatch[4], 1) : 1;
+    return isByte(r) && isByte(g) && isByte(b) ? { r, g, b, a, format: 'rgb' } : null;
+  }
+
+  const hslMatch = value.match(
+    /^hsla?\(\s*([\d.]+)(?:deg)?\s*[,\s]\s*([\d.]+)%\s*[,\s]\s*([\d.]+)%\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/i,
+  );
+  if (hslMatch) {
+    const rgb = hslToRgb(parseFloat(hslMatch[1]), parseFloat(hslMatch[2]), parseFloat(hslMatch[3]));
+    const a = hslMatch[4] !== undefined ? channel(hslMatch[4], 1) : 1;
+    return { ...rgb, a, format: 'hsl' };
+  }
+
+  const commaTriplet = value.match(/^(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})(?:\s*,\s*([\d.]+))?$/);
+  if (commaTriplet) {
+    const [r, g, b] = [commaTriplet[1], commaTriplet[2], commaTriplet[3]].map(Number);
+    const a = commaTriplet[4] !== undefined ? parseFloat(commaTriplet[4]) : 1;
+    return isByte(r) && isByte(g) && isByte(b) && a <= 1 ? { r, g, b, a, format: 'triplet-comma' } : null;
+  }
+
+  const spaceTriplet = value.match(/^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})$/);
+  if (spaceTriplet) {
+    const [r, g, b] = [spaceTriplet[1], spaceTriplet[2], spaceTriplet[3]].map(Number);
+    return isByte(r) && isByte(g) && isByte(b) ? { r, g, b, a: 1, format: 'triplet-space' } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Formats color ({ r, g, b, a } with 0-255 channels) in one of the formats returned by parseColorValue
+ */
+function formatColorValue(color, format) {
+  const r = Math.round(color.r);
+  const g = Math.round(color.g);
+  const b = Math.round(color.b);
+  const a = Math.round(color.a * 100) / 100;
+
+  switch (format) {
+    case 'hex': {
+      const toHex = (num) => num.toString(16).padStart(2, '0');
+      const alpha = a < 1 ? toHex(Math.round(a * 255)) : '';
+      return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha}`;
+    }
+    case 'hsl': {
+      const { h, s, l } = rgbToHsl(r, g, b);
+      return a < 1 ? `hsla(${h}, ${s}%, ${l}%, ${a})` : `hsl(${h}, ${s}%, ${l}%)`;
+    }
+    case 'triplet-comma':
+      return `${r}, ${g}, ${b}, ${a}`;
+    case 'triplet-space':
+      return `${r} ${g} ${b}`;
+    default:
+      return a < 1 ? `rgba(${r}, ${g}, ${b}, ${a})` : `rgb(${r}, ${g}, ${b})`;
+  }
+}
+
+/**
+ * Relative luminance of a color (WCAG 2.x), used by color_contrast
+ */
+function getRelativeLuminance(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+module.exports = {
+  hexToRgbaCache,
+  hexToRgba,
+  hslToRgb,
+  rgbToHsl,
+  parseColorValue,
+  formatColorValue,
+  getRelativeLuminance,
+};
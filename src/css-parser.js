@@ -0,0 +1,209 @@
+// Tolerant CSS parser and offset helpers (no dependency on the VS Code API)
+
+/**
+ * Returns start offsets of all lines in text (for offset -> line/character conversion)
+ */
+function getLineStarts(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) {
+      lineStarts.push(i + 1);
+    }
+  }
+  return lineStarts;
+}
+
+/**
+ * Converts offset in text to line/character using precomputed line starts
+ */
+function offsetToLineCharacter(lineStarts, offset) {
+  // Binary search for the line containing offset
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { line: low, character: offset - lineStarts[low] };
+}
+
+/**
+ * Parses CSS into a tree of rules, at-rules and declarations, tolerating errors like a browser does:
+ * comments and strings never open or close blocks, a declaration ends at a top-level `;` or at the `}`
+ * of its block (so the last one needs no semicolon), custom property values may span lines and contain
+ * balanced (), [] and {} (url(data:…;base64,…) included), and unclosed blocks end at the end of the text.
+ * Nodes: { type: 'rule', selector, start, children }, { type: 'atrule', name, prelude, start, children }
+ * and { type: 'declaration', property, value, important, start } with start the offset of the node in text
+ * (a trailing !important is removed from value and sets important)
+ */
+function parseCssTree(text) {
+  let i = 0;
+
+  const createDeclaration = (property, value, start) => {
+    const importantMatch = value.match(/\s*!\s*important\s*$/i);
+    return {
+      type: 'declaration',
+      property,
+      value: importantMatch ? value.substring(0, importantMatch.index) : value,
+      important: !!importantMatch,
+      start,
+    };
+  };
+
+  // Skips a comment, string or escaped character at i (an unterminated string ends at the line break)
+  const skipCommentOrString = () => {
+    const char = text[i];
+    if (char === '/' && text[i + 1] === '*') {
+      const commentEnd = text.indexOf('*/', i + 2);
+      i = commentEnd === -1 ? text.length : commentEnd + 2;
+      return true;
+    }
+    if (char === '"' || char === "'") {
+      i++;
+      while (i < text.length && text[i] !== char && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (text[i] === char) i++;
+      return true;
+    }
+    if (char === '\\') {
+      i += 2;
+      return true;
+    }
+    return false;
+  };
+
+  // Consumes component values up to a top-level `;` or `}` (or `{` when it opens a block rather than being a value)
+  const consumeComponentValues = (stopAtBlock) => {
+    const closers = [];
+    while (i < text.length) {
+      if (skipCommentOrString()) continue;
+      const char = text[i];
+      if (closers.length === 0 && (char === ';' || char === '}' || (stopAtBlock && char === '{'))) return;
+
+      if (char === '(') closers.push(')');
+      else if (char === '[') closers.push(']');
+      else if (char === '{') closers.push('}');
+      else if (char === closers[closers.length - 1]) closers.pop();
+      else if (char === '}') {
+        // A `}` inside an unclosed ( or [ closes them; one that closes no { ends the value
+        if (!closers.includes('}')) return;
+        while (closers.pop() !== '}');
+      }
+      i++;
+    }
+  };
+
+  const parseBlock = (nested) => {
+    const nodes = [];
+    while (i < text.length) {
+      const char = text[i];
+      if (char === ';' || /\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (char === '/' && text[i + 1] === '*') {
+        skipCommentOrString();
+        continue;
+      }
+      if (char === '}') {
+        i++;
+        if (nested) return nodes;
+        continue; // Stray closing brace at the top level
+      }
+
+      const start = i;
+
+      // Custom properties are always declarations; their values may contain {} blocks
+      const customPropertyRegex = /(--[\w-]+)\s*:/y;
+      customPropertyRegex.lastIndex = start;
+      const customPropertyMatch = customPropertyRegex.exec(text);
+      if (customPropertyMatch) {
+        i = customPropertyRegex.lastIndex;
+        consumeComponentValues(false);
+        const value = normalizeCssValue(text.substring(customPropertyRegex.lastIndex, i));
+        nodes.push(createDeclaration(customPropertyMatch[1], value, start));
+        continue;
+      }
+
+      consumeComponentValues(true);
+      const prelude = normalizeCssValue(text.substring(start, i));
+
+      if (text[i] === '{') {
+        i++;
+        const children = parseBlock(true);
+        const atRuleMatch = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/);
+        if (atRuleMatch) {
+          nodes.push({ type: 'atrule', name: atRuleMatch[1].toLowerCase(), prelude: atRuleMatch[2], start, children });
+        } else {
+          nodes.push({ type: 'rule', selector: prelude, start, children });
+        }
+      } else {
+        const declarationMatch = prelude.match(/^([\w-]+)\s*:([\s\S]*)$/);
+        if (declarationMatch) {
+          nodes.push(createDeclaration(declarationMatch[1], declarationMatch[2].trim(), start));
+        }
+      }
+    }
+    return nodes;
+  };
+
+  return parseBlock(false);
+}
+
+/**
+ * Normalizes CSS source text of a value or prelude: comments are removed and whitespace runs spanning
+ * lines become one space (strings are kept verbatim)
+ */
+function normalizeCssValue(raw) {
+  let result = '';
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (char === '/' && raw[i + 1] === '*') {
+      const commentEnd = raw.indexOf('*/', i + 2);
+      i = commentEnd === -1 ? raw.length : commentEnd + 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < raw.length && raw[end] !== char && raw[end] !== '\n') {
+        end += raw[end] === '\\' ? 2 : 1;
+      }
+      result += raw.substring(i, end + 1);
+      i = end;
+      continue;
+    }
+
+    if (char === '\\') {
+      result += raw.substring(i, i + 2);
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      let end = i;
+      while (end + 1 < raw.length && /\s/.test(raw[end + 1])) end++;
+      const whitespace = raw.substring(i, end + 1);
+      result += whitespace.includes('\n') ? ' ' : whitespace;
+      i = end;
+      continue;
+    }
+
+    result += char;
+  }
+  return result.trim();
+}
+
+module.exports = {
+  getLineStarts,
+  offsetToLineCharacter,
+  parseCssTree,
+  normalizeCssValue,
+};
@@ -1,32 +1,66 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const { hexToRgbaCache, parseColorValue, formatColorValue } = require('./colors');
+const { getLineStarts, offsetToLineCharacter, parseCssTree } = require('./css-parser');
+const {
+  liquidFileCache,
+  sectionSchemaCache,
+  settingValueCache,
+  setThemeSettings,
+  getSettingValue,
+  getLiquidFileText,
+  getPartialPath,
+  getSectionSchema,
+  createLiquidSection,
+  getShopifyFont,
+  liquidToCSS,
+  getRenderedCssBlocks,
+  getSourcePosition,
+} = require('./liquid');
 
 // Performance caches
 let cssVariables = new Map(); // Stores variables: name -> value
-let shopifySettings = null; // Cache for settings_data.json
-let shopifySettingsSchema = null; // Cache for settings_schema.json
+let cssVariableUsages = new Map(); // Stores usages and declarations: name -> [{ filePath, line, character, kind }]
+let selectedSettingsPreset = null; // Preset of settings_data.json chosen with "Select Settings Preset" (null = current)
 let cachedConfig = null; // Cache for extension config
-const hexToRgbaCache = new Map(); // Cache for hex -> rgba conversions (significant speed boost)
-const settingValueCache = new Map(); // Cache for setting value lookups (avoids repeated traversal)
+let diagnosticCollection = null; // Diagnostics for undefined variables
+const indexedUsageFiles = new Set(); // Files scanned for usages (reference patterns)
+const includedFiles = new Set(); // Files matched by the include patterns (diagnostics are published for them)
+const scanCompletedEmitter = new vscode.EventEmitter(); // Fired after every scan (refreshes inlay hints)
+const resolvedVariableCache = new Map(); // Cache for resolved var() chains: name -> { value, chain, cycle }
+let sectionInstances = []; // Sections configured in templates/*.json and section groups (sections/*.json)
+const fontPickerSettingIds = new Set(); // Ids of font_picker settings in settings_schema.json
+let activeColorScheme = null; // Color scheme id shown in completion details (null = first scheme)
+let colorSchemeStatusBarItem = null; // Status bar item showing the active color scheme
+let scanQueue = Promise.resolve(); // Last started or queued scan (scans rebuild the shared maps one at a time)
+let queuedScan = null; // Scan waiting for the running one (shared by every caller until it starts)
+let rescanTimer = null; // Debounce timer for rescans triggered by file watchers
+const diagnosticsTimers = new Map(); // Debounce timers for diagnostics of edited documents: fsPath -> timeout
+
+// Delay before file watcher events trigger a rescan (a save or checkout fires many events at once)
+const RESCAN_DELAY = 300;
+// Delay after the last keystroke before diagnostics of an edited document are recomputed
+const DIAGNOSTICS_DELAY = 250;
+// Characters before the cursor searched for multi-line script contexts (setProperty(\n '--x', style={{\n '--x')
+const CONTEXT_LOOKBEHIND = 1000;
+
+// Script languages where variables are completed in strings (setProperty, getPropertyValue, style objects)
+const SCRIPT_LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact'];
 
 // Pre-compiled regex patterns for performance (compiled once, reused everywhere)
 const REGEX = Object.freeze({
-  liquidBlock: /{%-?\s*liquid\s+([\s\S]*?)%}/gi,
-  forScheme: /{%\s*for\s+(\w+)\s+in\s+settings\.color_schemes\s*-%}([\s\S]*?){%\s*endfor\s*%}/gi,
-  assign: /{%\s*assign\s+[^%]+%}/g,
-  ifBlock: /{%\s*if\s+[\w.]+\s*[<>=!]+\s*\d+\s*%}([\s\S]*?)(?:{%\s*else\s*%}[\s\S]*?)?{%\s*endif\s*%}/gi,
-  schemeSettings: /\{\{\s*scheme\.settings\.([\w.]+)(?:\s*\|\s*append:\s*['"]([^'"]+)['"])?\s*\}\}/g,
-  settings: /\{\{\s*settings\.([\w.]+)(?:\s*\|\s*append:\s*['"]([^'"]+)['"])?\s*\}\}/g,
-  variable: /\{\{\s*([\w_]+)\s*\}\}/g,
-  liquidTags: /{%[^%]*%}/g,
-  liquidOutput: /\{\{[^}]*\}\}/g,
-  cssVariable: /--([\w-]+)\s*:\s*([^;]+);/g,
-  rootBlock: /:root\s*(?:,\s*[.#][\w-]+\s*)*\{/g,
-  mediaQuery: /@media\s*([^{]+)\{/g,
-  arrayAccess: /^([\w_]+)\[([^\]]+)\]$/,
-  propAccess: /^([\w_]+)\.([\w_]+)$/,
-  numericLiteral: /^\d+(\.\d+)?$/,
+  hardcodedLiteral: /#[\da-f]{3,8}\b|(?:rgba?|hsla?)\([^()]*\)|-?\d*\.?\d+(?:px|rem|%|em|vw|vh|ms|s|deg)(?![\w%-])/gi,
+  partialTag: /(?:{%-?|^)\s*(render|include|section)\s+['"]([\w.-]+)['"]/gm,
+  // {% style %}, {% stylesheet %} and <style> blocks (content in group 1, 2 or 3)
+  styleBlock: new RegExp(
+    [
+      /{%-?\s*style\s*-?%}([\s\S]*?){%-?\s*endstyle\s*-?%}/.source,
+      /{%-?\s*stylesheet\s*-?%}([\s\S]*?){%-?\s*endstylesheet\s*-?%}/.source,
+      /<style[^>]*>([\s\S]*?)<\/style>/.source,
+    ].join('|'),
+    'dgi',
+  ),
 });
 
 /**
@@ -44,9 +78,22 @@ function getExtensionConfig() {
       '**/snippets/color-schemes.liquid',
     ]),
     excludePatterns: config.get('excludePatterns', ['**/node_modules/**']),
+    referencePatterns: config.get('referencePatterns', [
+      '**/*.liquid',
+      '**/*.css',
+      '**/*.scss',
+      '**/*.less',
+      '**/*.{js,jsx,ts,tsx}',
+    ]),
     remToPxConversion: config.get('remToPxConversion', true),
     baseFontSize: config.get('baseFontSize', 16),
     onlyRoot: config.get('onlyRoot', true),
+    sectionVariables: config.get('sectionVariables', true),
+    undefinedVariableDiagnostics: config.get('diagnostics.undefinedVariables', true),
+    unusedVariableDiagnostics: config.get('diagnostics.unusedVariables', false),
+    viewportWidths: config.get('viewportWidths', [375, 768, 1440]),
+    inlayHints: config.get('inlayHints.enabled', false),
+    inlayHintsMaxLength: config.get('inlayHints.maxLength', 30),
   };
   return cachedConfig;
 }
@@ -79,29 +126,61 @@ function pxToRem(pxValue, baseFontSize = 16) {
 }
 
 /**
- * Loads Shopify settings from config/settings_data.json
+ * Returns locations of all declarations of a variable (base value, @media variants, color schemes and sections)
  */
-async function loadShopifySettings() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
+function getDeclarationLocations(varData) {
+  const locations = [];
+  const seen = new Set();
+
+  const addLocation = (filePath, line, character) => {
+    if (!filePath) return;
+    const key = `${filePath}:${line}:${character}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const position = new vscode.Position(line || 0, character || 0);
+    locations.push(new vscode.Location(vscode.Uri.file(filePath), position));
+  };
+
+  addLocation(varData.filePath, varData.line, varData.character);
+  for (const variant of [...(varData.media || []), ...(varData.schemes || []), ...(varData.sections || [])]) {
+    addLocation(variant.filePath, variant.line, variant.character);
+  }
+
+  return locations;
+}
+
+/**
+ * Returns rem↔px conversion of a value ({ unit, value }) or null if not applicable/disabled
+ */
+function getUnitConversion(value, config) {
+  if (!config.remToPxConversion) {
     return null;
   }
 
-  for (const folder of workspaceFolders) {
-    const settingsPath = path.join(folder.uri.fsPath, 'config', 'settings_data.json');
+  value = value.trim();
+  const remMatch = value.match(/([\d.]+)\s*rem/);
+  if (remMatch) {
+    const pxValue = remToPx(remMatch[1], config.baseFontSize);
+    return pxValue ? { unit: 'px', value: `${pxValue}px` } : null;
+  }
 
-    try {
-      if (fs.existsSync(settingsPath)) {
-        const content = fs.readFileSync(settingsPath, 'utf8');
-        // Remove comments from JSON
-        const cleanContent = content.replace(/\/\*[\s\S]*?\*\//g, '');
-        const data = JSON.parse(cleanContent);
-        const settings = data.current || {};
-        console.log(`✓ Loaded ${Object.keys(settings).length} settings from settings_data.json`);
-        return settings;
-      }
-    } catch (error) {
-      console.error('Error loading settings_data.json:', error);
+  const pxMatch = value.match(/([\d.]+)\s*px/);
+  if (pxMatch) {
+    const remValue = pxToRem(pxMatch[1], config.baseFontSize);
+    return remValue ? { unit: 'rem', value: `${remValue}rem` } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Returns the path of config/settings_data.json in the first workspace folder that has one, or null
+ */
+function getSettingsDataPath() {
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const settingsPath = path.join(folder.uri.fsPath, 'config', 'settings_data.json');
+    if (fs.existsSync(settingsPath)) {
+      return settingsPath;
     }
   }
 
@@ -109,9 +188,53 @@ async function loadShopifySettings() {
 }
 
 /**
- * Loads Shopify settings schema from config/settings_schema.json
+ * Reads config/settings_data.json of the first workspace folder that has one ({ current, presets }), or null
+ */
+function readSettingsData() {
+  const settingsPath = getSettingsDataPath();
+  if (!settingsPath) {
+    return null;
+  }
+
+  try {
+    const content = fs.readFileSync(settingsPath, 'utf8');
+    // Remove comments from JSON
+    const cleanContent = content.replace(/\/\*[\s\S]*?\*\//g, '');
+    return JSON.parse(cleanContent);
+  } catch (error) {
+    console.error('Error loading settings_data.json:', error);
+    return null;
+  }
+}
+
+/**
+ * Loads Shopify settings from config/settings_data.json.
+ * `current` is either a settings object or the name of one of `presets`; the preset chosen with
+ * "Select Settings Preset" takes precedence (the file itself is never changed)
+ */
+async function loadShopifySettings() {
+  const data = readSettingsData();
+  if (!data) {
+    return null;
+  }
+
+  const presets = data.presets || {};
+  let presetName = typeof data.current === 'string' ? data.current : null;
+  if (selectedSettingsPreset && Object.prototype.hasOwnProperty.call(presets, selectedSettingsPreset)) {
+    presetName = selectedSettingsPreset;
+  }
+
+  const settings = (presetName !== null ? presets[presetName] : data.current) || {};
+  const presetInfo = presetName !== null ? ` (preset "${presetName}")` : '';
+  console.log(`✓ Loaded ${Object.keys(settings).length} settings from settings_data.json${presetInfo}`);
+  return settings;
+}
+
+/**
+ * Loads Shopify settings schema defaults from config/settings_schema.json (and records font_picker setting ids)
  */
 async function loadShopifySettingsSchema() {
+  fontPickerSettingIds.clear();
   const workspaceFolders = vscode.workspace.workspaceFolders;
   if (!workspaceFolders) {
     return null;
@@ -133,6 +256,9 @@ async function loadShopifySettingsSchema() {
               if (setting.id && setting.default !== undefined) {
                 defaultsMap[setting.id] = setting.default;
               }
+              if (setting.id && setting.type === 'font_picker') {
+                fontPickerSettingIds.add(setting.id);
+              }
             }
           }
         }
@@ -150,1193 +276,1379 @@ async function loadShopifySettingsSchema() {
 }
 
 /**
- * Converts hex color to rgba format (with caching)
+ * Loads the sections configured in templates/*.json (including templates/customers) and section groups
+ * (sections/*.json): [{ context, id, path, type, settings, blocks, block_order }]
  */
-function hexToRgba(hex, alpha = 1) {
-  if (!hex || typeof hex !== 'string') return null;
-
-  const cacheKey = `${hex}-${alpha}`;
-  if (hexToRgbaCache.has(cacheKey)) {
-    return hexToRgbaCache.get(cacheKey);
+async function loadSectionInstances() {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  if (!workspaceFolders) {
+    return [];
   }
 
-  // Remove # if present
-  hex = hex.replace('#', '');
+  const instances = [];
+  for (const folder of workspaceFolders) {
+    const fileUris = await vscode.workspace.findFiles(
+      new vscode.RelativePattern(folder, '{templates/**/*.json,sections/*.json}'),
+    );
 
-  // Handle shorthand hex (e.g., #fff)
-  if (hex.length === 3) {
-    hex = hex
-      .split('')
-      .map((char) => char + char)
-      .join('');
+    for (const fileUri of fileUris.sort((a, b) => a.fsPath.localeCompare(b.fsPath))) {
+      try {
+        const content = fs.readFileSync(fileUri.fsPath, 'utf8');
+        // Remove comments from JSON (Shopify adds a header comment to generated files)
+        const data = JSON.parse(content.replace(/\/\*[\s\S]*?\*\//g, ''));
+        if (!data || typeof data.sections !== 'object') continue;
+
+        const relativePath = path.relative(folder.uri.fsPath, fileUri.fsPath).split(path.sep).join('/');
+        const isTemplate = relativePath.startsWith('templates/');
+        const fileName = path.basename(fileUri.fsPath, '.json');
+
+        for (const key of data.order || Object.keys(data.sections)) {
+          const section = data.sections[key];
+          if (!section || !section.type || section.disabled) continue;
+          instances.push({
+            context: `${relativePath} › ${key}`,
+            // Shopify ids are like template--123__main; the template name stands in for the numeric id
+            id: `${isTemplate ? 'template' : 'sections'}--${fileName}__${key}`,
+            path: path.join(folder.uri.fsPath, 'sections', `${section.type}.liquid`),
+            type: section.type,
+            settings: section.settings || {},
+            blocks: section.blocks || {},
+            block_order: section.block_order,
+          });
+        }
+      } catch (error) {
+        console.error(`Error loading ${fileUri.fsPath}:`, error);
+      }
+    }
   }
 
-  if (hex.length !== 6 && hex.length !== 8) return null;
-
-  const r = parseInt(hex.substring(0, 2), 16);
-  const g = parseInt(hex.substring(2, 4), 16);
-  const b = parseInt(hex.substring(4, 6), 16);
-  const a = hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : alpha;
-
-  const result = { r, g, b, a };
-  hexToRgbaCache.set(cacheKey, result);
-  return result;
+  console.log(`✓ Loaded ${instances.length} section instances from templates and section groups`);
+  return instances;
 }
 
 /**
- * Gets first color scheme from settings
+ * Scans all Liquid files and extracts CSS variables from {% style %} blocks.
+ * Scans never overlap: a scan requested while one is running starts after it, and requests made
+ * before that queued scan starts share it
  */
-function getFirstColorScheme() {
-  if (!shopifySettings || !shopifySettings.color_schemes) {
-    return null;
+function scanLiquidFiles() {
+  if (!queuedScan) {
+    queuedScan = scanQueue.then(() => {
+      queuedScan = null;
+      return runScan();
+    });
+    scanQueue = queuedScan;
   }
+  return queuedScan;
+}
 
-  const schemes = shopifySettings.color_schemes;
-  const firstSchemeKey = Object.keys(schemes)[0];
-
-  return firstSchemeKey ? schemes[firstSchemeKey] : null;
+/**
+ * Schedules a rescan after RESCAN_DELAY, restarting the delay on every call
+ */
+function scheduleRescan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(() => {
+    rescanTimer = null;
+    scanLiquidFiles();
+  }, RESCAN_DELAY);
 }
 
 /**
- * Resolves Liquid variable {{ settings.variable_name }} or {{ settings.variable.property }}
- * Also supports {{ scheme.settings.* }} for color scheme variables
+ * Rebuilds the variable, usage and section indexes (called through scanLiquidFiles only)
  */
-function resolveLiquidVariable(liquidVar) {
-  // Check for scheme.settings.* pattern (color schemes)
-  const schemeMatch = liquidVar.match(/\{\{\s*scheme\.settings\.([\w.]+)\s*\}\}/);
-  if (schemeMatch) {
-    const firstScheme = getFirstColorScheme();
-    if (!firstScheme || !firstScheme.settings) {
-      return `[scheme.${schemeMatch[1]}]`;
-    }
+async function runScan() {
+  try {
+    cssVariables.clear();
+    cssVariableUsages.clear();
+    indexedUsageFiles.clear();
+    includedFiles.clear();
+    resolvedVariableCache.clear();
+    liquidFileCache.clear();
+    sectionSchemaCache.clear();
 
-    const varPath = schemeMatch[1].split('.');
-    let value = firstScheme.settings;
+    // Load Shopify settings (clears the setting value cache)
+    setThemeSettings(await loadShopifySettings(), await loadShopifySettingsSchema());
 
-    // Navigate through nested properties
-    for (const prop of varPath) {
-      if (value && typeof value === 'object') {
-        value = value[prop];
-      } else {
-        break;
-      }
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders) {
+      return 0;
     }
 
-    // Handle color properties with .rgba or .rgb accessors
-    if (typeof value === 'string' && value.startsWith('#')) {
-      const lastProp = varPath[varPath.length - 1];
-
-      if (lastProp === 'rgba') {
-        const rgba = hexToRgba(value);
-        return rgba ? `${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a}` : value;
-      } else if (lastProp === 'rgb') {
-        const rgba = hexToRgba(value);
-        return rgba ? `${rgba.r} ${rgba.g} ${rgba.b}` : value;
+    // Get extension configuration
+    const config = getExtensionConfig();
+    sectionInstances = config.sectionVariables ? await loadSectionInstances() : [];
+
+    // Combine all exclude patterns
+    const excludePattern = config.excludePatterns.length > 0 ? `{${config.excludePatterns.join(',')}}` : undefined;
+
+    // Collect files: declarations come from include patterns, usages from reference patterns
+    const files = new Map(); // fsPath -> { uri, declarations, references }
+    const collectFiles = async (patterns, kind) => {
+      for (const folder of workspaceFolders) {
+        for (const pattern of patterns) {
+          const relativePattern = new vscode.RelativePattern(folder, pattern);
+          const fileUris = await vscode.workspace.findFiles(relativePattern, excludePattern);
+          for (const fileUri of fileUris) {
+            if (!files.has(fileUri.fsPath)) {
+              files.set(fileUri.fsPath, { uri: fileUri, declarations: false, references: false });
+            }
+            files.get(fileUri.fsPath)[kind] = true;
+          }
+        }
       }
+    };
 
-      // If it's a color without accessor, try to return RGBA
-      const rgba = hexToRgba(value);
-      return rgba ? `${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a}` : value;
-    }
+    await collectFiles(config.includePatterns, 'declarations');
+    await collectFiles(config.referencePatterns, 'references');
 
-    return formatSettingValue(value, varPath[0]);
-  }
+    // Read files in parallel (each file is read once)
+    const filePromises = [];
+    for (const [fsPath, file] of files) {
+      filePromises.push(
+        vscode.workspace.fs
+          .readFile(file.uri)
+          .then((content) => {
+            const text = Buffer.from(content).toString('utf8');
+            if (file.declarations) {
+              liquidFileCache.set(fsPath, text);
+              includedFiles.add(fsPath);
+            }
+            if (file.references) {
+              indexVariableUsages(text, fsPath);
+            }
+          })
+          .catch((error) => {
+            console.error(`Error reading file ${fsPath}:`, error);
+          }),
+      );
+    }
 
-  // Extract variable name from {{ settings.variable_name }} or {{ settings.var.property }}
-  const match = liquidVar.match(/\{\{\s*settings\.([\w.]+)\s*\}\}/);
-  if (!match) {
-    return liquidVar;
-  }
+    // Wait for all files to be read
+    await Promise.all(filePromises);
 
-  const varPath = match[1].split('.');
-  const varName = varPath[0];
+    // Partials rendered from other files are parsed in that context first (with their arguments),
+    // then on their own for variables that were not reached through any render
+    const partials = new Set();
+    for (const [fsPath, file] of files) {
+      const text = file.declarations ? liquidFileCache.get(fsPath) : null;
+      if (!text) continue;
+      const partialRegex = new RegExp(REGEX.partialTag);
+      let partialMatch;
+      while ((partialMatch = partialRegex.exec(text)) !== null) {
+        partials.add(getPartialPath(partialMatch[1], partialMatch[2], fsPath));
+      }
+    }
 
-  // Search in current settings
-  if (shopifySettings && shopifySettings[varName] !== undefined) {
-    let value = shopifySettings[varName];
+    // Section files are rendered with their schema defaults as `section`
+    const getFileVariables = (fsPath) => {
+      const isSectionFile = path.basename(path.dirname(fsPath)) === 'sections';
+      return isSectionFile && getSectionSchema(fsPath)
+        ? { section: createLiquidSection(fsPath, path.basename(fsPath, '.liquid')) }
+        : {};
+    };
+
+    const declarationFiles = [...files.keys()].filter((fsPath) => files.get(fsPath).declarations);
+    for (const fsPath of declarationFiles) {
+      if (!partials.has(fsPath) && mayDeclareVariables(fsPath)) {
+        parseCssVariables(liquidFileCache.get(fsPath), fsPath, getFileVariables(fsPath));
+      }
+    }
+    for (const fsPath of declarationFiles) {
+      const text = liquidFileCache.get(fsPath);
+      // Early exit if no :root
+      if (partials.has(fsPath) && text && text.includes(':root')) {
+        parseCssVariables(text, fsPath, getFileVariables(fsPath));
+      }
+    }
 
-    // If there are nested properties (e.g., type_body_font.family)
-    for (let i = 1; i < varPath.length; i++) {
-      if (value && typeof value === 'object') {
-        value = value[varPath[i]];
-      } else {
-        // If value is not an object, it might be a string representation
-        // e.g. "inter_n4" for font
-        break;
+    // Section-scoped variables: once per template/section group instance, schema defaults for unused sections
+    if (config.sectionVariables) {
+      const instantiated = new Set();
+      for (const instance of sectionInstances) {
+        if (liquidFileCache.has(instance.path)) {
+          instantiated.add(instance.path);
+          const section = createLiquidSection(instance.path, instance.id, instance);
+          parseSectionVariables(instance.path, section, instance.context);
+        }
+      }
+      for (const fsPath of declarationFiles) {
+        const isSectionFile = path.basename(path.dirname(fsPath)) === 'sections';
+        if (isSectionFile && !instantiated.has(fsPath) && getSectionSchema(fsPath)) {
+          const name = path.basename(fsPath, '.liquid');
+          parseSectionVariables(fsPath, createLiquidSection(fsPath, name), `${name} (schema defaults)`);
+        }
       }
     }
 
-    return formatSettingValue(value, varName);
-  }
+    refreshDiagnostics();
+    scanCompletedEmitter.fire();
 
-  // Search in defaults
-  if (shopifySettingsSchema && shopifySettingsSchema[varName] !== undefined) {
-    const value = shopifySettingsSchema[varName];
-    return formatSettingValue(value, varName);
+    console.log(`\n✓ Found ${cssVariables.size} CSS variables`);
+    return cssVariables.size;
+  } catch (error) {
+    console.error('Error in scanLiquidFiles:', error);
+    vscode.window.showErrorMessage(`Failed to scan files: ${error.message}`);
+    return 0;
   }
-
-  // If not found, return variable name for visibility
-  return `[${varPath.join('.')}]`;
 }
 
 /**
- * Formats setting value
+ * Checks whether a Liquid file contains :root or renders a partial that (transitively) does
  */
-function formatSettingValue(value, varName) {
-  // Simply return value as is, without adding units
-  // Units (px, %, rem) are already in Liquid template
-
-  // If it's a number - return as string
-  if (typeof value === 'number') {
-    return String(value);
-  }
-
-  // If it's a boolean value
-  if (typeof value === 'boolean') {
-    return value.toString();
+function mayDeclareVariables(filePath, visited = new Set()) {
+  const text = getLiquidFileText(filePath);
+  if (!text || visited.has(filePath)) {
+    return false;
   }
+  visited.add(filePath);
 
-  // If it's a string
-  if (typeof value === 'string') {
-    return value;
+  if (text.includes(':root')) {
+    return true;
   }
 
-  // For objects and other types
-  if (typeof value === 'object') {
-    return '[object]';
+  const partialRegex = new RegExp(REGEX.partialTag);
+  let match;
+  while ((match = partialRegex.exec(text)) !== null) {
+    if (mayDeclareVariables(getPartialPath(match[1], match[2], filePath), visited)) {
+      return true;
+    }
   }
-
-  return String(value);
+  return false;
 }
 
 /**
- * Scans all Liquid files and extracts CSS variables from {% style %} blocks
+ * Parses text and extracts CSS variables from {% style %} and :root blocks.
+ * The whole file is rendered, so assigns are shared across the file and rendered snippets are inlined;
+ * variables is the initial scope (e.g. `section` for section files)
  */
-async function scanLiquidFiles() {
-  try {
-    cssVariables.clear();
-    settingValueCache.clear(); // Clear cache for new scan
+function parseCssVariables(text, filePath, variables = {}) {
+  // Quick checks: if no :root (or partials that may declare it) or file too small, skip
+  if (!text || text.length < 50 || (!text.includes(':root') && !new RegExp(REGEX.partialTag).test(text))) {
+    return;
+  }
+
+  const config = getExtensionConfig();
+  const rendered = liquidToCSS(text, 0, variables, filePath);
 
-    // Load Shopify settings
-    shopifySettings = await loadShopifySettings();
-    shopifySettingsSchema = await loadShopifySettingsSchema();
+  // Line starts per source file (the file itself and inlined snippets)
+  const lineStarts = new Map([[filePath, getLineStarts(text)]]);
 
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders) {
-      return 0;
+  // Process each style block: {% style %}, {% stylesheet %}, <style>
+  for (const [start, end] of getRenderedCssBlocks(rendered)) {
+    const cleanCSS = rendered.text.substring(start, end);
+
+    // Skip if no :root after conversion
+    if (!cleanCSS.includes(':root')) {
+      continue;
     }
 
-    // Get extension configuration
-    const config = getExtensionConfig();
+    // Source info for mapping CSS offsets back to the Liquid files
+    const source = {
+      filePath,
+      offsets: rendered.offsets.slice(start, end),
+      files: rendered.files.slice(start, end),
+      lineStarts,
+    };
 
-    // Collect all file reading promises
-    const filePromises = [];
+    // Find :root blocks
+    const nodes = parseCssTree(cleanCSS);
+    parseRootBlocks(nodes, source);
 
-    for (const folder of workspaceFolders) {
-      // Scan files for each include pattern
-      for (const includePattern of config.includePatterns) {
-        // Combine all exclude patterns
-        const excludePattern = config.excludePatterns.length > 0 ? `{${config.excludePatterns.join(',')}}` : undefined;
+    // Find class blocks (with onlyRoot, only color scheme values of :root variables)
+    parseClassBlocks(nodes, source, config.onlyRoot);
+  }
+}
 
-        const liquidFiles = await vscode.workspace.findFiles(
-          new vscode.RelativePattern(folder, includePattern),
-          excludePattern,
-        );
+/**
+ * Parses custom properties declared anywhere in a section's style blocks (e.g. #shopify-section-{{ section.id }})
+ * with the section object of one instance, recording the value under that instance's context
+ */
+function parseSectionVariables(filePath, section, context) {
+  const text = getLiquidFileText(filePath);
+  if (!text || !text.includes('--')) {
+    return;
+  }
+
+  const rendered = liquidToCSS(text, 0, { section }, filePath);
+  const lineStarts = new Map([[filePath, getLineStarts(text)]]);
+
+  for (const [start, end] of getRenderedCssBlocks(rendered)) {
+    const css = rendered.text.substring(start, end);
+    const source = {
+      filePath,
+      offsets: rendered.offsets.slice(start, end),
+      files: rendered.files.slice(start, end),
+      lineStarts,
+    };
+
+    // Declarations of every rule, at any depth
+    const addDeclarations = (nodes) => {
+      for (const node of nodes) {
+        if (node.children) {
+          addDeclarations(node.children);
+          continue;
+        }
+        if (!node.property.startsWith('--')) continue;
+
+        const { filePath: declarationPath, line, character } = getSourcePosition(source, node.start);
+        if (!cssVariables.has(node.property)) {
+          cssVariables.set(node.property, {
+            value: node.value,
+            file: path.basename(declarationPath),
+            filePath: declarationPath,
+            line,
+            character,
+            media: [],
+            schemes: [],
+            sections: [],
+          });
+        }
 
-        // Read files in parallel
-        for (const fileUri of liquidFiles) {
-          filePromises.push(
-            vscode.workspace.fs
-              .readFile(fileUri)
-              .then((content) => {
-                const text = Buffer.from(content).toString('utf8');
-                // Early exit if no :root
-                if (text.includes(':root')) {
-                  parseCssVariables(text, fileUri.fsPath);
-                }
-              })
-              .catch((error) => {
-                console.error(`Error reading file ${fileUri.fsPath}:`, error);
-              }),
-          );
+        const varData = cssVariables.get(node.property);
+        if (!varData.sections) varData.sections = [];
+        if (!varData.sections.some((entry) => entry.context === context)) {
+          varData.sections.push({ context, value: node.value, filePath: declarationPath, line, character });
         }
       }
-    }
+    };
+    addDeclarations(parseCssTree(css));
+  }
+}
 
-    // Wait for all files to be processed
-    await Promise.all(filePromises);
+/**
+ * Builds a markdown table of the values of a section-scoped variable per template/section group instance.
+ * Returns null if the variable is not declared in a section
+ */
+function getSectionValueLines(varData) {
+  if (!varData.sections || varData.sections.length === 0) {
+    return null;
+  }
 
-    console.log(`\n✓ Found ${cssVariables.size} CSS variables`);
-    return cssVariables.size;
-  } catch (error) {
-    console.error('Error in scanLiquidFiles:', error);
-    vscode.window.showErrorMessage(`Failed to scan files: ${error.message}`);
-    return 0;
+  const lines = ['| Context | Value |', '|---|---|'];
+  for (const entry of varData.sections) {
+    lines.push(`| ${entry.context} | \`${entry.value}\` |`);
   }
+  return lines;
 }
 
 /**
- * Finds matching closing brace for given opening brace
- * Optimized version
+ * Checks whether a selector list contains :root (e.g. `:root` or `:root, .color-scheme-1`)
  */
-function findMatchingBrace(text, startIndex) {
-  let depth = 1;
-  const len = text.length;
+function isRootSelector(selector) {
+  return splitTopLevelCommas(selector).some((part) => part.trim() === ':root');
+}
 
-  for (let i = startIndex; i < len && depth > 0; i++) {
-    const char = text[i];
-    if (char === '{') {
-      depth++;
-    } else if (char === '}') {
-      depth--;
-      if (depth === 0) {
-        return i + 1;
-      }
+/**
+ * Parses :root rules of a parsed CSS block (see parseCssTree), including :root inside @media and
+ * other at-rules (@supports, @layer) and @media nested in :root
+ * NOTE: Expects clean CSS (after liquidToCSS conversion)
+ */
+function parseRootBlocks(nodes, source, mediaQuery = null) {
+  for (const node of nodes) {
+    if (node.type === 'rule' && isRootSelector(node.selector)) {
+      // `:root, .color-scheme-1 {` also records the scheme value
+      parseVariablesInBlock(node.children, source, mediaQuery, mediaQuery ? null : getColorSchemeId(node.selector));
+      parseMediaBlocks(node.children, source, mediaQuery);
+    } else if (node.type === 'atrule') {
+      const childMediaQuery = node.name === 'media' ? combineMediaQueries(mediaQuery, node.prelude) : mediaQuery;
+      parseRootBlocks(node.children, source, childMediaQuery);
     }
   }
-
-  return -1;
 }
 
 /**
- * Processes if/elsif/else block in Liquid (simplified version)
+ * Combines the query of an enclosing @media with a nested one
  */
-function processIfBlock(ifLine, allLines, variables) {
-  // Deprecated - use processIfBlockInLoop instead
-  return '';
+function combineMediaQueries(outer, inner) {
+  return outer ? `${outer} and ${inner}` : inner;
 }
 
 /**
- * Processes if/elsif/else/endif block in loop and returns output + next index
+ * Records the custom property declarations of a block (its direct children).
+ * schemeId is the color scheme whose block this is (values are also recorded per scheme)
  */
-function processIfBlockInLoop(lines, startIndex, variables) {
-  let output = '';
-  let i = startIndex;
-
-  // Parse if condition
-  const ifLine = lines[i];
-  const ifMatch = ifLine.match(/if\s+(.+)/);
-  if (!ifMatch) return { output: '', nextIndex: i + 1 };
-
-  const ifCondition = ifMatch[1].trim();
-  let conditionMet = evaluateLiquidCondition(ifCondition, variables);
-
-  // Collect branches: if, elsif*, else
-  const branches = [{ condition: ifCondition, met: conditionMet, lines: [] }];
-  let currentBranch = 0;
-  let depth = 1;
-  i++;
+function parseVariablesInBlock(nodes, source, mediaQuery, schemeId = null) {
+  for (const node of nodes) {
+    if (node.type !== 'declaration' || !node.property.startsWith('--')) {
+      continue;
+    }
 
-  while (i < lines.length && depth > 0) {
-    const line = lines[i];
+    const varName = node.property;
+    const varValue = node.value;
+    const { filePath, line, character } = getSourcePosition(source, node.start);
 
-    if (line.startsWith('if ')) {
-      depth++;
-      branches[currentBranch].lines.push(line);
-    } else if (line.startsWith('endif')) {
-      depth--;
-      if (depth === 0) break;
-      branches[currentBranch].lines.push(line);
-    } else if (line.startsWith('elsif ') && depth === 1) {
-      const elsifMatch = line.match(/elsif\s+(.+)/);
-      if (elsifMatch) {
-        const elsifCondition = elsifMatch[1].trim();
-        const elsifMet = !conditionMet && evaluateLiquidCondition(elsifCondition, variables);
-        branches.push({ condition: elsifCondition, met: elsifMet, lines: [] });
-        currentBranch++;
-        if (elsifMet) conditionMet = true;
-      }
-    } else if (line.startsWith('else') && depth === 1) {
-      branches.push({ condition: null, met: !conditionMet, lines: [] });
-      currentBranch++;
+    // Store or update the variable
+    if (!cssVariables.has(varName)) {
+      cssVariables.set(varName, {
+        value: varValue,
+        file: path.basename(filePath),
+        filePath: filePath,
+        line,
+        character,
+        media: mediaQuery ? [{ query: mediaQuery, value: varValue, filePath, line, character }] : [],
+        schemes: [],
+      });
     } else {
-      branches[currentBranch].lines.push(line);
+      // Variable exists - add media query if applicable
+      if (mediaQuery) {
+        const varData = cssVariables.get(varName);
+        varData.media.push({ query: mediaQuery, value: varValue, filePath, line, character });
+      }
     }
 
-    i++;
+    if (schemeId && !mediaQuery) {
+      addColorSchemeValue(cssVariables.get(varName), schemeId, { value: varValue, filePath, line, character });
+    }
   }
+}
 
-  // Execute the branch that met its condition
-  for (const branch of branches) {
-    if (branch.met) {
-      for (const branchLine of branch.lines) {
-        if (branchLine.startsWith('echo ')) {
-          const echoExpr = branchLine.substring(5).trim();
-          output += evaluateLiquidExpression(echoExpr, variables);
-        } else if (branchLine.startsWith('assign ')) {
-          const assignMatch = branchLine.match(/assign\s+([\w_]+)\s*=\s*(.+)/);
-          if (assignMatch) {
-            const [, varName, expression] = assignMatch;
-            variables[varName] = evaluateLiquidExpression(expression.trim(), variables);
-          }
-        }
-      }
-      break;
+/**
+ * Parses @media blocks nested in a :root rule (CSS nesting) and extracts CSS variables from them
+ */
+function parseMediaBlocks(nodes, source, outerMediaQuery = null) {
+  for (const node of nodes) {
+    if (node.type === 'atrule' && node.name === 'media') {
+      const mediaQuery = combineMediaQueries(outerMediaQuery, node.prelude);
+      parseVariablesInBlock(node.children, source, mediaQuery);
+      parseMediaBlocks(node.children, source, mediaQuery);
     }
   }
-
-  return { output, nextIndex: i + 1 };
 }
 
 /**
- * Evaluates Liquid condition (optimized)
+ * Gets the color scheme id of a selector like `.color-scheme-2 {` or `:root, .color-scheme-1 {`
+ * (ids are the keys of settings.color_schemes), or null
  */
-function evaluateLiquidCondition(condition, variables) {
-  // Handle 'contains' operator
-  if (condition.includes(' contains ')) {
-    const [left, right] = condition.split(' contains ').map((s) => s.trim());
-    const leftVal = String(evaluateLiquidExpression(left, variables));
-    const rightVal = String(evaluateLiquidExpression(right, variables));
-    return leftVal.includes(rightVal);
+function getColorSchemeId(selector) {
+  const schemeIds = getColorSchemeIds();
+  const classRegex = /\.([\w-]+)/g;
+  let classMatch;
+  while ((classMatch = classRegex.exec(selector)) !== null) {
+    const className = classMatch[1];
+    const schemeId = schemeIds.find((id) => className === `color-${id}` || className === id);
+    if (schemeId) return schemeId;
   }
+  return null;
+}
 
-  // Use regex for faster operator detection and parsing
-  const comparisonMatch = condition.match(/(.+?)\s*(>=|<=|>|<|==)\s*(.+)/);
-  if (comparisonMatch) {
-    const [, left, operator, right] = comparisonMatch;
-    const leftVal = evaluateLiquidExpression(left.trim(), variables);
-    const rightVal = evaluateLiquidExpression(right.trim(), variables);
+/**
+ * Gets the color scheme ids defined in settings (settings.color_schemes), in settings order
+ */
+function getColorSchemeIds() {
+  const schemes = getSettingValue('color_schemes');
+  return schemes && typeof schemes === 'object' && !Array.isArray(schemes) ? Object.keys(schemes) : [];
+}
 
-    // For numeric comparisons
-    if (operator !== '==') {
-      const leftNum = parseFloat(leftVal);
-      const rightNum = parseFloat(rightVal);
-      switch (operator) {
-        case '>=':
-          return leftNum >= rightNum;
-        case '<=':
-          return leftNum <= rightNum;
-        case '>':
-          return leftNum > rightNum;
-        case '<':
-          return leftNum < rightNum;
-      }
-    }
-    // For == comparison
-    return leftVal == rightVal;
+/**
+ * Records the value of a variable in one color scheme (the first declaration per scheme wins)
+ */
+function addColorSchemeValue(varData, schemeId, entry) {
+  if (!varData.schemes) varData.schemes = [];
+  if (!varData.schemes.some((scheme) => scheme.id === schemeId)) {
+    varData.schemes.push({ id: schemeId, ...entry });
   }
-
-  // Simple truthy check
-  const value = evaluateLiquidExpression(condition, variables);
-  return !!value;
 }
 
 /**
- * Executes Liquid block and returns CSS output
+ * Gets the value of a variable in the active color scheme: { id, value, ... } or null
+ * when no scheme is active or the variable does not differ per scheme
  */
-function executeLiquidBlock(liquidCode) {
-  const variables = {};
-  let output = '';
-  const lines = liquidCode
-    .split('\n')
-    .map((l) => l.trim())
-    .filter((l) => l);
+function getActiveColorSchemeValue(varData) {
+  if (!activeColorScheme || !varData.schemes) return null;
+  return varData.schemes.find((scheme) => scheme.id === activeColorScheme) || null;
+}
 
-  let skipMode = false; // For skipping comment blocks
+/**
+ * Builds a markdown table of the values of a variable per color scheme, with a color swatch
+ * for values that resolve to colors. Returns null if the variable is not declared per scheme
+ */
+function getColorSchemeValueLines(varName, varData) {
+  if (!varData.schemes || varData.schemes.length === 0) {
+    return null;
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+  const activeId = activeColorScheme || getColorSchemeIds()[0];
+  const lines = ['| | Scheme | Value |', '|---|---|---|'];
+  for (const scheme of varData.schemes) {
+    const color = parseColorValue(substituteVariables(scheme.value, [varName]).value);
+    const swatch = color ? `<span style="color:${formatColorValue({ ...color, a: 1 }, 'hex')};">██</span>` : '';
+    const label = scheme.id === activeId ? `**${scheme.id}** (active)` : scheme.id;
+    lines.push(`| ${swatch} | ${label} | \`${scheme.value}\` |`);
+  }
+  return lines;
+}
 
-    // Handle comment blocks
-    if (line === 'comment' || line.startsWith('comment ')) {
-      skipMode = true;
-      continue;
-    }
-    if (line === 'endcomment') {
-      skipMode = false;
-      continue;
-    }
-    if (skipMode) {
+/**
+ * Parses class blocks (e.g., .color-scheme-1) of a parsed CSS block, including nested rules.
+ * Color scheme blocks also record per-scheme values; with onlyRoot they add nothing else.
+ * Rules inside @media are skipped (their values depend on the viewport)
+ * NOTE: Expects clean CSS (after liquidToCSS conversion)
+ */
+function parseClassBlocks(nodes, source, onlyRoot = false) {
+  for (const node of nodes) {
+    if (node.type === 'atrule') {
+      if (node.name !== 'media') parseClassBlocks(node.children, source, onlyRoot);
       continue;
     }
-
-    // Process 'assign' statements
-    if (line.startsWith('assign ')) {
-      const assignMatch = line.match(/assign\s+([\w_]+)\s*=\s*(.+)/);
-      if (assignMatch) {
-        const [, varName, expression] = assignMatch;
-        variables[varName] = evaluateLiquidExpression(expression.trim(), variables);
-      }
+    if (node.type !== 'rule') {
       continue;
     }
 
-    // Process 'for' loops
-    if (line.startsWith('for ')) {
-      const forMatch = line.match(/for\s+([\w_]+)\s+in\s+([\w_]+)/);
-      if (forMatch) {
-        const [, itemVar, arrayVar] = forMatch;
-        const array = variables[arrayVar] || [];
-
-        // Find 'endfor'
-        let forBody = [];
-        i++;
-        let depth = 1;
-        while (i < lines.length && depth > 0) {
-          if (lines[i].startsWith('for ')) depth++;
-          if (lines[i].startsWith('endfor')) {
-            depth--;
-            if (depth === 0) break;
-          }
-          forBody.push(lines[i]);
-          i++;
-        }
-
-        // Execute loop
-        if (Array.isArray(array)) {
-          for (let j = 0; j < array.length; j++) {
-            variables[itemVar] = array[j];
-            variables['forloop'] = { index: j + 1 };
-
-            // Process for body
-            let k = 0;
-            while (k < forBody.length) {
-              const bodyLine = forBody[k];
-
-              if (bodyLine.startsWith('echo ')) {
-                const echoExpr = bodyLine.substring(5).trim();
-                output += evaluateLiquidExpression(echoExpr, variables);
-                k++;
-              } else if (bodyLine.startsWith('assign ')) {
-                const assignMatch = bodyLine.match(/assign\s+([\w_]+)\s*=\s*(.+)/);
-                if (assignMatch) {
-                  const [, varName, expression] = assignMatch;
-                  variables[varName] = evaluateLiquidExpression(expression.trim(), variables);
-                }
-                k++;
-              } else if (bodyLine.startsWith('if ')) {
-                // Process if/elsif/else/endif block
-                const ifResult = processIfBlockInLoop(forBody, k, variables);
-                output += ifResult.output;
-                k = ifResult.nextIndex;
-              } else {
-                k++;
-              }
-            }
-          }
+    // Match class blocks like .color-scheme-1 {, .some-class {
+    const schemeId = /\.[\w-]+$/.test(node.selector) ? getColorSchemeId(node.selector) : null;
+    if (/\.[\w-]+$/.test(node.selector) && (!onlyRoot || schemeId)) {
+      for (const declaration of node.children) {
+        if (declaration.type !== 'declaration' || !declaration.property.startsWith('--')) {
+          continue;
         }
-      }
-      continue;
-    }
 
-    // Process 'unless' blocks (opposite of if)
-    if (line.startsWith('unless ')) {
-      const unlessMatch = line.match(/unless\s+(.+)/);
-      if (unlessMatch) {
-        const condition = unlessMatch[1].trim();
-        const conditionMet = !evaluateLiquidCondition(condition, variables); // Inverted logic
-
-        // Find 'endunless'
-        let unlessBody = [];
-        i++;
-        let depth = 1;
-        while (i < lines.length && depth > 0) {
-          if (lines[i].startsWith('unless ')) depth++;
-          if (lines[i].startsWith('endunless')) {
-            depth--;
-            if (depth === 0) break;
-          }
-          unlessBody.push(lines[i]);
-          i++;
+        const varName = declaration.property;
+        const { filePath, line, character } = getSourcePosition(source, declaration.start);
+        if (!cssVariables.has(varName)) {
+          if (onlyRoot) continue;
+          cssVariables.set(varName, {
+            value: declaration.value,
+            file: path.basename(filePath),
+            filePath: filePath,
+            line,
+            character,
+            media: [],
+            schemes: [],
+          });
         }
 
-        // Execute unless body if condition is not met
-        if (conditionMet) {
-          for (const unlessLine of unlessBody) {
-            if (unlessLine.startsWith('echo ')) {
-              const echoExpr = unlessLine.substring(5).trim();
-              output += evaluateLiquidExpression(echoExpr, variables);
-            } else if (unlessLine.startsWith('assign ')) {
-              const assignMatch = unlessLine.match(/assign\s+([\w_]+)\s*=\s*(.+)/);
-              if (assignMatch) {
-                const [, varName, expression] = assignMatch;
-                variables[varName] = evaluateLiquidExpression(expression.trim(), variables);
-              }
-            }
-          }
+        if (schemeId) {
+          const entry = { value: declaration.value, filePath, line, character };
+          addColorSchemeValue(cssVariables.get(varName), schemeId, entry);
         }
       }
-      continue;
     }
 
-    // Process 'echo' statements
-    if (line.startsWith('echo ')) {
-      const echoExpr = line.substring(5).trim();
-      output += evaluateLiquidExpression(echoExpr, variables);
-      continue;
-    }
+    parseClassBlocks(node.children, source, onlyRoot);
   }
-  return output;
 }
 
 /**
- * Evaluates Liquid expression with filters
+ * Finds var(--x) usages and --x declarations in a file
+ * Liquid style blocks are also rendered, so names built with Liquid interpolation
+ * (e.g. var(--font-{{ size }})) are found too (marked as dynamic)
  */
-function evaluateLiquidExpression(expr, variables) {
-  // Split by pipe, but not inside quotes
-  const parts = [];
-  let current = '';
-  let inQuotes = false;
-  let quoteChar = '';
-
-  for (let i = 0; i < expr.length; i++) {
-    const char = expr[i];
-
-    if ((char === '"' || char === "'") && (i === 0 || expr[i - 1] !== '\\')) {
-      if (!inQuotes) {
-        inQuotes = true;
-        quoteChar = char;
-        current += char;
-      } else if (char === quoteChar) {
-        inQuotes = false;
-        quoteChar = '';
-        current += char;
-      } else {
-        current += char;
+function collectVariableUsages(text, filePath) {
+  const usages = [];
+  const seen = new Set();
+  const lineStarts = getLineStarts(text);
+
+  const addUsage = (name, offset, length, kind, hasFallback, dynamic) => {
+    const key = `${name}:${offset}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const { line, character } = offsetToLineCharacter(lineStarts, offset);
+    usages.push({ name, filePath, line, character, length, kind, hasFallback, dynamic });
+  };
+
+  // Scripts reference variables in strings: getPropertyValue('--x'), setProperty('--x', ...), `var(--x)`
+  const isScript = /\.(?:[cm]?js|jsx|ts|tsx)$/i.test(filePath);
+
+  // Names preceded by a word character or "&" are BEM modifiers (.button--primary), not variables
+  const nameRegex = /(?<![\w&-])--[\w-]+/g;
+  let match;
+  while ((match = nameRegex.exec(text)) !== null) {
+    const name = match[0];
+    const before = text.substring(Math.max(0, match.index - 10), match.index);
+    const after = text.substring(match.index + name.length, match.index + name.length + 10);
+
+    // Partial names followed by Liquid ({{ }} or {% %}) are picked up from the rendered CSS below,
+    // the literal prefix is kept so that matching variables are not reported as unused
+    if (/^\{[{%]/.test(after)) {
+      if (/var\(\s*$/.test(before)) {
+        addUsage(name, match.index, name.length, 'prefix', false, true);
       }
-    } else if (char === '|' && !inQuotes) {
-      parts.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+      continue;
     }
-  }
-  if (current) parts.push(current.trim());
-
-  let value = parts[0];
 
-  // Handle quoted strings
-  if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
-    value = value.slice(1, -1);
-  }
-  // Evaluate base value
-  else if (value.includes('[')) {
-    // Array/object access: font_size_values[next_font_size_index] or settings[size_setting]
-    const arrayMatch = value.match(REGEX.arrayAccess);
-    if (arrayMatch) {
-      const [, objectName, indexExpr] = arrayMatch;
-
-      if (objectName === 'settings') {
-        // settings[variable] - evaluate variable first
-        const settingKey = evaluateLiquidExpression(indexExpr, variables);
-        const settingValue = getSettingValue(String(settingKey));
-        value = settingValue !== undefined ? settingValue : '';
-      } else {
-        // Regular array access
-        const array = variables[objectName];
-        const index = evaluateLiquidExpression(indexExpr, variables);
-        value = Array.isArray(array) ? array[parseInt(index)] : '';
+    if (/var\(\s*$/.test(before)) {
+      addUsage(name, match.index, name.length, 'usage', /^\s*,/.test(after), false);
+    } else if (isScript) {
+      if (isScriptVariableReference(text, match.index)) {
+        addUsage(name, match.index, name.length, 'usage', false, false);
       }
+    } else if (/^\s*:/.test(after)) {
+      addUsage(name, match.index, name.length, 'declaration', false, false);
     }
-  } else if (value.includes('.')) {
-    // Property access: settings.type_size_paragraph or object.property
-    const propMatch = value.match(REGEX.propAccess);
-    if (propMatch) {
-      const [, objectName, propertyName] = propMatch;
+  }
 
-      if (objectName === 'settings') {
-        // Special handling for settings
-        value = getSettingValue(propertyName);
-        if (value === undefined) value = '';
-      } else {
-        // General object property access
-        const obj = variables[objectName];
-        if (obj && typeof obj === 'object' && propertyName in obj) {
-          value = obj[propertyName];
-        } else {
-          // If not found, return the original expression
-          value = value;
-        }
-      }
-    } else if (value.match(/^[\w_]+$/)) {
-      // Variable reference
-      value = variables[value] !== undefined ? variables[value] : value;
-    }
-  } else if (value.match(/^[\w_]+$/)) {
-    // Variable reference
-    value = variables[value] !== undefined ? variables[value] : value;
-  } else if (value.match(/^\d+(\.\d+)?$/)) {
-    // Numeric literal
-    value = parseFloat(value);
-  } else {
-    // Try to evaluate as expression
-    const varMatch = value.match(/'?\[([^\]]+)\]'?/g);
-    if (varMatch) {
-      varMatch.forEach((placeholder) => {
-        const varName = placeholder.replace(/['"\[\]]/g, '');
-        const varValue = variables[varName] !== undefined ? variables[varName] : '';
-        value = value.replace(placeholder, varValue);
-      });
-    }
+  if (!filePath.endsWith('.liquid') || !/{[{%]/.test(text)) {
+    return usages;
   }
 
-  // Apply filters
-  for (let i = 1; i < parts.length; i++) {
-    value = applyLiquidFilter(value, parts[i], variables);
+  // Render style blocks and look for names that only exist after Liquid evaluation
+  const styleRegex = new RegExp(REGEX.styleBlock);
+  while ((match = styleRegex.exec(text)) !== null) {
+    const group = match[1] !== undefined ? 1 : match[2] !== undefined ? 2 : 3;
+    const content = match[group];
+    if (!/{[{%]/.test(content)) continue;
+
+    const rendered = liquidToCSS(content, match.indices[group][0], {}, filePath);
+    const renderedRegex = /(var\(\s*)?(--[\w-]+)(\s*[:,])?/g;
+    let renderedMatch;
+    while ((renderedMatch = renderedRegex.exec(rendered.text)) !== null) {
+      const [, varPrefix, name, suffix] = renderedMatch;
+      const kind = varPrefix ? 'usage' : suffix && suffix.trim() === ':' ? 'declaration' : null;
+      if (!kind) continue;
+
+      const nameIndex = renderedMatch.index + (varPrefix ? varPrefix.length : 0);
+      const sourceOffset = rendered.offsets[nameIndex];
+      // Skip names that are written literally in the source (already indexed above) or come from rendered snippets
+      if (sourceOffset === undefined || rendered.files[nameIndex] !== filePath || text.startsWith(name, sourceOffset)) {
+        continue;
+      }
+
+      const literalPart = text.substring(sourceOffset).match(/^--[\w-]*/);
+      const length = literalPart ? literalPart[0].length : 0;
+      addUsage(name, sourceOffset, length, kind, kind === 'usage' && suffix && suffix.trim() === ',', true);
+    }
   }
 
-  return value;
+  return usages;
 }
 
 /**
- * Applies Liquid filter to value
+ * Adds usages and declarations found in a file to the usage index
  */
-function applyLiquidFilter(value, filter, variables) {
-  const filterMatch = filter.match(/^([\w_]+)(?::\s*(.+))?$/);
-  if (!filterMatch) return value;
-
-  const [, filterName, filterArg] = filterMatch;
-
-  switch (filterName) {
-    case 'split':
-      // Extract the split delimiter from filterArg (e.g., split: ", " or split: ',')
-      let splitBy = ',';
-      if (filterArg) {
-        // Remove outer quotes if present
-        splitBy = filterArg.trim().replace(/^['"]|['"]$/g, '');
-      }
-      return String(value).split(splitBy);
-
-    case 'replace':
-      const replaceArgs = filterArg.match(/['"]([^'"]*)['"]\s*,\s*(.+)/);
-      if (replaceArgs) {
-        const [, search, replace] = replaceArgs;
-        let replaceValueExpr = replace.trim();
-
-        // Evaluate the replacement expression (handles variables, settings[x], obj.prop, etc.)
-        let replaceValue = evaluateLiquidExpression(replaceValueExpr, variables);
-
-        // If evaluation returns the same expression, try removing quotes as fallback
-        if (replaceValue === replaceValueExpr && replaceValueExpr.match(/^['"].*['"]$/)) {
-          replaceValue = replaceValueExpr.replace(/^['"]|['"]$/g, '');
-        }
-
-        // Escape special regex characters in search string and use it as-is
-        const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        return String(value).replace(new RegExp(escapedSearch, 'g'), String(replaceValue));
-      }
-      return value;
-
-    case 'append':
-      const appendValue = filterArg ? evaluateLiquidExpression(filterArg, variables) : '';
-      return String(value) + appendValue;
-
-    case 'times':
-      const multiplier = filterArg ? parseFloat(evaluateLiquidExpression(filterArg, variables)) : 1;
-      const timesResult = parseFloat(value) * multiplier;
-      if (isNaN(timesResult)) return 0;
-      // Round to avoid floating point precision issues
-      return Math.round(timesResult * 100000) / 100000;
-
-    case 'divided_by':
-      const divisor = filterArg ? parseFloat(evaluateLiquidExpression(filterArg, variables)) : 1;
-      if (divisor === 0) return 0;
-      const divResult = parseFloat(value) / divisor;
-      if (isNaN(divResult)) return 0;
-      // Round to avoid floating point precision issues
-      return Math.round(divResult * 100000) / 100000;
-
-    case 'minus':
-      const subtrahend = filterArg ? parseFloat(evaluateLiquidExpression(filterArg, variables)) : 0;
-      const minusResult = parseFloat(value) - subtrahend;
-      return isNaN(minusResult) ? 0 : minusResult;
-
-    case 'plus':
-      const addend = filterArg ? parseFloat(evaluateLiquidExpression(filterArg, variables)) : 0;
-      const plusResult = parseFloat(value) + addend;
-      return isNaN(plusResult) ? 0 : plusResult;
-
-    case 'uniq':
-      return Array.isArray(value) ? [...new Set(value)] : value;
-
-    case 'sort_natural':
-      return Array.isArray(value)
-        ? value.sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }))
-        : value;
-
-    case 'find_index':
-      const searchValue = filterArg ? evaluateLiquidExpression(filterArg, variables) : '';
-      if (!Array.isArray(value)) return -1;
-      const searchStr = String(searchValue);
-
-      // Try exact string match first
-      let result = value.indexOf(searchStr);
-
-      // If not found, try numeric comparison (handles "48" vs "048")
-      if (result === -1) {
-        const searchNum = parseFloat(searchStr);
-        if (!isNaN(searchNum)) {
-          result = value.findIndex((v) => parseFloat(v) === searchNum);
-        }
-      }
-
-      return result;
-
-    // Shopify-specific filters that we can't emulate - just return the original value
-    case 'font_modify':
-    case 'font_face':
-      return value;
-
-    default:
-      return value;
+function indexVariableUsages(text, filePath) {
+  indexedUsageFiles.add(filePath);
+  for (const usage of collectVariableUsages(text, filePath)) {
+    if (!cssVariableUsages.has(usage.name)) {
+      cssVariableUsages.set(usage.name, []);
+    }
+    cssVariableUsages.get(usage.name).push(usage);
   }
 }
 
 /**
- * Emulates Liquid to CSS conversion - removes/processes Liquid tags to get clean CSS
+ * Returns all indexed usages of a variable. Entries for the given document and for open documents with
+ * unsaved changes come from their current text (positions in the index may be stale)
  */
-function liquidToCSS(text) {
-  // Step 0: Process {% liquid %} and {%- liquid %} blocks
-  text = text.replace(REGEX.liquidBlock, (match, liquidCode) => {
-    return executeLiquidBlock(liquidCode);
-  });
-
-  // Step 1: Process {% for scheme in settings.color_schemes %} loops
-  // Take only the first iteration (forloop.index == 1)
-  text = text.replace(REGEX.forScheme, (match, schemeVar, loopContent) => {
-    // Simulate first iteration
-    let firstIteration = loopContent;
-
-    // Replace {{ scheme.id }} with "scheme-1" (first scheme)
-    const firstScheme = getFirstColorScheme();
-    const schemeId = firstScheme ? Object.keys(shopifySettings.color_schemes)[0] : 'scheme-1';
-    firstIteration = firstIteration.replace(new RegExp(`\\{\\{\\s*${schemeVar}\\.id\\s*\\}\\}`, 'g'), schemeId);
-
-    // Replace {{ forloop.index }} with 1
-    firstIteration = firstIteration.replace(/\{\{\s*forloop\.index\s*\}\}/g, '1');
-
-    // Keep only the content for forloop.index == 1
-    firstIteration = firstIteration.replace(/{%\s*if\s+forloop\.index\s*==\s*1\s*%}([\s\S]*?){%\s*endif\s*%}/gi, '$1');
-
-    // Remove other forloop.index conditions
-    firstIteration = firstIteration.replace(/{%\s*if\s+forloop\.index\s*[^%]+%}[\s\S]*?{%\s*endif\s*%}/gi, '');
-
-    return firstIteration;
-  });
+function getVariableUsages(varName, document) {
+  const currentDocuments = vscode.workspace.textDocuments.filter(
+    (openDocument) => openDocument.isDirty && indexedUsageFiles.has(openDocument.uri.fsPath),
+  );
+  if (document && !currentDocuments.some((openDocument) => openDocument.uri.fsPath === document.uri.fsPath)) {
+    currentDocuments.push(document);
+  }
 
-  // Step 2: Process {% assign %} statements - just remove them
-  text = text.replace(REGEX.assign, '');
+  const currentPaths = new Set(currentDocuments.map((currentDocument) => currentDocument.uri.fsPath));
+  const indexed = (cssVariableUsages.get(varName) || []).filter((usage) => !currentPaths.has(usage.filePath));
+  const current = currentDocuments.flatMap((currentDocument) =>
+    collectVariableUsages(currentDocument.getText(), currentDocument.uri.fsPath).filter(
+      (usage) => usage.name === varName,
+    ),
+  );
+  return indexed.concat(current);
+}
 
-  // Step 3: Process conditional blocks {% if settings.* %}
-  text = processConditionalBlocks(text);
+/**
+ * Splits "a, b, c" at top-level commas (commas inside parentheses are kept)
+ */
+function splitTopLevelCommas(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === ',' && depth === 0) {
+      parts.push(text.substring(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.substring(start));
+  return parts;
+}
 
-  // Step 4: Process other {% if %} blocks (like background_brightness)
-  text = text.replace(REGEX.ifBlock, (match, thenContent) => {
-    // Optimistically include the "then" branch
-    return thenContent;
-  });
+/**
+ * Replaces every var(--x, fallback) in value with the value of --x (recursively).
+ * stack holds variables being resolved; a reference back into it is a cycle.
+ * With viewportWidth, the @media variant matching that width is used for each variable.
+ * Unresolvable references (undefined, no fallback) are kept as written.
+ */
+function substituteVariables(value, stack, viewportWidth) {
+  let result = '';
+  let cycle = null;
+  let lastIndex = 0;
+  const varRegex = /var\(/g;
+  let match;
 
-  // Step 5: Replace {{ scheme.settings.* }} with actual values (with optional | append: filter)
-  text = text.replace(REGEX.schemeSettings, (match, settingPath, appendValue) => {
-    const resolved = resolveLiquidVariable(`{{ scheme.settings.${settingPath} }}`);
-    if (appendValue && resolved !== `{{ scheme.settings.${settingPath} }}`) {
-      return resolved + appendValue;
+  while ((match = varRegex.exec(value)) !== null) {
+    const end = findMatchingParen(value, match.index + 3);
+    if (end === -1) break;
+
+    const [name, ...fallbackParts] = splitTopLevelCommas(value.substring(match.index + 4, end - 1));
+    const varName = name.trim();
+    const fallback = fallbackParts.length > 0 ? fallbackParts.join(',').trim() : undefined;
+    let replacement = null;
+
+    if (stack.includes(varName)) {
+      cycle = cycle || stack.slice(stack.indexOf(varName)).concat(varName);
+    } else if (cssVariables.has(varName)) {
+      const varData = cssVariables.get(varName);
+      const varValue = viewportWidth !== undefined ? getEffectiveValue(varData, viewportWidth) : varData.value;
+      const resolved = substituteVariables(varValue, stack.concat(varName), viewportWidth);
+      cycle = cycle || resolved.cycle;
+      // A variable that is part of a cycle is invalid, so its fallback applies
+      replacement = resolved.cycle && resolved.cycle.includes(varName) ? null : resolved.value;
     }
-    return resolved;
-  });
 
-  // Step 6: Replace {{ settings.* }} with actual values (with optional | append: filter)
-  text = text.replace(REGEX.settings, (match, settingName, appendValue) => {
-    const resolved = resolveLiquidVariable(`{{ settings.${settingName} }}`);
-    if (appendValue && resolved !== `{{ settings.${settingName} }}`) {
-      return resolved + appendValue;
+    if (replacement === null && fallback !== undefined) {
+      const resolvedFallback = substituteVariables(fallback, stack, viewportWidth);
+      cycle = cycle || resolvedFallback.cycle;
+      replacement = resolvedFallback.value;
     }
-    return resolved;
-  });
-
-  // Step 7: Replace {{ variable_name }} (local variables like opacity_5_15)
-  text = text.replace(REGEX.variable, '0.15'); // Default opacity value
 
-  // Step 8: Remove any remaining Liquid tags
-  text = text.replace(REGEX.liquidTags, '');
-  text = text.replace(REGEX.liquidOutput, '');
+    const substituted = replacement !== null ? replacement : value.substring(match.index, end);
+    result += value.substring(lastIndex, match.index) + substituted;
+    lastIndex = end;
+    varRegex.lastIndex = end;
+  }
 
-  return text;
+  return { value: result + value.substring(lastIndex), cycle };
 }
 
 /**
- * Parses text and extracts CSS variables from {% style %} and :root blocks
+ * Resolves a variable through var() aliases (with caching).
+ * Returns { value, chain, cycle }: computed value, alias chain (--button-bg → --color-primary)
+ * and the cycle (--a → --b → --a) if the variable is part of one
  */
-function parseCssVariables(text, filePath) {
-  // Quick checks: if no :root or file too small, skip
-  if (!text || text.length < 50 || !text.includes(':root')) {
-    return;
+function getResolvedVariable(varName) {
+  if (resolvedVariableCache.has(varName)) {
+    return resolvedVariableCache.get(varName);
   }
 
-  const config = getExtensionConfig();
+  const varData = cssVariables.get(varName);
+  if (!varData) {
+    return { value: null, chain: [varName], cycle: null };
+  }
 
-  // Find all style blocks: {% style %}, {% stylesheet %}, <style>
-  const styleBlocks = [];
+  const { value, cycle } = substituteVariables(varData.value, [varName]);
 
-  // Match {% style %}...{% endstyle %}
-  const liquidStyleRegex = /{%\s*style\s*%}([\s\S]*?){%\s*endstyle\s*%}/gi;
-  let match;
-  while ((match = liquidStyleRegex.exec(text)) !== null) {
-    // Skip if no :root in this block
-    if (match[1].includes(':root')) {
-      styleBlocks.push({ type: '{% style %}', content: match[1], start: match.index });
-    }
-  }
+  // Follow single aliases (value is exactly var(--x) or var(--x, fallback))
+  const chain = [varName];
+  let current = varData.value;
+  let aliasMatch;
+  while ((aliasMatch = current.trim().match(/^var\(\s*(--[\w-]+)\s*(?:,[\s\S]*)?\)$/))) {
+    const next = aliasMatch[1];
+    if (chain.includes(next) || !cssVariables.has(next)) break;
 
-  // Match {% stylesheet %}...{% endstylesheet %}
-  const liquidSheetRegex = /{%\s*stylesheet\s*%}([\s\S]*?){%\s*endstylesheet\s*%}/gi;
-  while ((match = liquidSheetRegex.exec(text)) !== null) {
-    // Skip if no :root in this block
-    if (match[1].includes(':root')) {
-      styleBlocks.push({ type: '{% stylesheet %}', content: match[1], start: match.index });
-    }
-  }
+    // Variables in a cycle are invalid (the fallback applies), so the chain ends here
+    const nextCycle = substituteVariables(cssVariables.get(next).value, [next]).cycle;
+    if (nextCycle && nextCycle[0] === next) break;
 
-  // Match <style>...</style>
-  const htmlStyleRegex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-  while ((match = htmlStyleRegex.exec(text)) !== null) {
-    // Skip if no :root in this block
-    if (match[1].includes(':root')) {
-      styleBlocks.push({ type: '<style>', content: match[1], start: match.index });
-    }
+    chain.push(next);
+    current = cssVariables.get(next).value;
   }
 
-  // If no blocks with :root found, skip
-  if (styleBlocks.length === 0) {
-    return;
-  }
+  const result = { value, chain, cycle: cycle && cycle[0] === varName ? cycle : null };
+  resolvedVariableCache.set(varName, result);
+  return result;
+}
 
-  // Sort by position in file
-  styleBlocks.sort((a, b) => a.start - b.start);
+/**
+ * Returns the computed value of a variable (var() aliases resolved)
+ */
+function getResolvedValue(varName) {
+  const resolved = getResolvedVariable(varName);
+  return resolved.value !== null ? resolved.value : '';
+}
 
-  // Process each style block
-  for (let i = 0; i < styleBlocks.length; i++) {
-    const block = styleBlocks[i];
+/**
+ * Converts a media query length (px, em, rem) to px
+ */
+function mediaLengthToPx(length, config) {
+  const lengthMatch = length.trim().match(/^(-?\d*\.?\d+)(px|em|rem)?$/i);
+  if (!lengthMatch) return null;
+  const number = parseFloat(lengthMatch[1]);
+  return lengthMatch[2] && lengthMatch[2].toLowerCase() !== 'px' ? number * config.baseFontSize : number;
+}
 
-    // Convert Liquid to CSS
-    const cleanCSS = liquidToCSS(block.content);
+/**
+ * Checks whether a media query matches a screen of the given viewport width.
+ * Supports media types, min-/max-width, range syntax (width >= 768px), "and", "not" and comma lists.
+ * Features that don't depend on width (hover, prefers-*, orientation, ...) are treated as not matching.
+ */
+function matchesMediaQuery(query, viewportWidth, config) {
+  return splitTopLevelCommas(query).some((part) => {
+    let condition = part.trim().toLowerCase();
+    const negated = condition.startsWith('not ');
+    if (negated) condition = condition.substring(4).trim();
+    condition = condition.replace(/^only\s+/, '');
+
+    const terms = condition.split(/\s+and\s+/);
+    const matches = terms.every((term) => {
+      term = term.trim();
+      if (term === 'all' || term === 'screen') return true;
+      if (term === 'print' || term === 'speech') return false;
+
+      const feature = term.match(/^\(\s*(min-width|max-width|width)\s*:\s*([^)]+)\)$/);
+      if (feature) {
+        const px = mediaLengthToPx(feature[2], config);
+        if (px === null) return false;
+        if (feature[1] === 'min-width') return viewportWidth >= px;
+        if (feature[1] === 'max-width') return viewportWidth <= px;
+        return viewportWidth === px;
+      }
 
-    // Skip if no :root after conversion
-    if (!cleanCSS.includes(':root')) {
-      continue;
-    }
+      // Range syntax: (width >= 768px), (768px <= width), (375px < width < 768px)
+      const range = term.match(/^\((.+)\)$/);
+      if (range && /\bwidth\b/.test(range[1])) {
+        const parts = range[1].split(/\s*(<=|>=|<|>|=)\s*/);
+        for (let i = 1; i < parts.length; i += 2) {
+          const left = parts[i - 1] === 'width' ? viewportWidth : mediaLengthToPx(parts[i - 1], config);
+          const right = parts[i + 1] === 'width' ? viewportWidth : mediaLengthToPx(parts[i + 1], config);
+          if (left === null || right === null) return false;
+          const operator = parts[i];
+          const holds =
+            operator === '<=' ? left <= right
+            : operator === '>=' ? left >= right
+            : operator === '<' ? left < right
+            : operator === '>' ? left > right
+            : left === right;
+          if (!holds) return false;
+        }
+        return true;
+      }
 
-    // Parse Liquid echo commands that generate CSS variables
-    parseLiquidEchoVariables(cleanCSS, filePath);
+      return false;
+    });
 
-    // Find :root blocks
-    parseRootBlocks(cleanCSS, filePath);
+    return negated ? !matches : matches;
+  });
+}
 
-    // Find class blocks - only if onlyRoot is false
-    if (!config.onlyRoot) {
-      parseClassBlocks(cleanCSS, filePath);
+/**
+ * Returns the value of a variable at a viewport width (last matching @media variant wins)
+ */
+function getEffectiveValue(varData, viewportWidth) {
+  const config = getExtensionConfig();
+  let value = varData.value;
+  for (const mediaVariant of varData.media || []) {
+    if (matchesMediaQuery(mediaVariant.query, viewportWidth, config)) {
+      value = mediaVariant.value;
     }
   }
+  return value;
 }
 
 /**
- * Processes conditional blocks {% if settings.* %} and removes content if condition is false
+ * Evaluates a CSS math value (calc(), clamp(), min(), max() or a single dimension) at a viewport width.
+ * Lengths are converted to px (rem/em via baseFontSize, vw via viewport width).
+ * Returns { value, unit } with unit 'px' or '' (plain number), or null if it can't be computed
  */
-function processConditionalBlocks(text) {
-  // Match {% if settings.variable ... %}...{% elsif %}...{% else %}...{% endif %} blocks
-  const ifRegex = /{%\s*if\s+([\s\S]*?)%}([\s\S]*?){%\s*endif\s*%}/gi;
+function evaluateCssMath(value, viewportWidth, config) {
+  const tokens = value.trim().match(/-?\d*\.?\d+(?:e-?\d+)?[a-z%]*|[a-z-]+(?=\()|[-+*/(),]/gi);
+  if (!tokens || tokens.join('') !== value.replace(/\s+/g, '')) {
+    return null;
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const fail = () => {
+    throw new Error('Unsupported CSS math expression');
+  };
 
-  return text.replace(ifRegex, (match, condition, blockContent) => {
-    // Split block content by {% elsif %} and {% else %}
-    const parts = [];
-    let currentContent = blockContent;
+  const toPx = (number, unit) => {
+    switch (unit.toLowerCase()) {
+      case '':
+        return { value: number, unit: '' };
+      case 'px':
+        return { value: number, unit: 'px' };
+      case 'rem':
+      case 'em':
+        return { value: number * config.baseFontSize, unit: 'px' };
+      case 'vw':
+        return { value: (number * viewportWidth) / 100, unit: 'px' };
+      default:
+        return fail();
+    }
+  };
 
-    // Extract {% elsif %} branches
-    const elsifRegex = /{%\s*elsif\s+([\s\S]*?)%}([\s\S]*?)(?={%\s*(?:elsif|else|endif))/gi;
-    let elsifMatch;
-    let lastIndex = 0;
+  const parseArguments = () => {
+    const args = [parseSum()];
+    while (peek() === ',') {
+      next();
+      args.push(parseSum());
+    }
+    if (next() !== ')') fail();
+    return args;
+  };
 
-    // First branch (initial if condition)
-    const firstElsifMatch = /{%\s*elsif/.exec(currentContent);
-    const firstElseMatch = /{%\s*else\s*%}/.exec(currentContent);
-    const firstEnd = Math.min(
-      firstElsifMatch ? firstElsifMatch.index : Infinity,
-      firstElseMatch ? firstElseMatch.index : Infinity,
-    );
+  const sameUnit = (values) => {
+    if (values.some((entry) => entry.unit !== values[0].unit)) fail();
+    return values[0].unit;
+  };
 
-    parts.push({
-      condition: condition,
-      content: currentContent.substring(0, firstEnd !== Infinity ? firstEnd : currentContent.length),
-    });
+  const parseFactor = () => {
+    const token = next();
+    if (token === undefined) return fail();
 
-    // Extract elsif branches
-    while ((elsifMatch = elsifRegex.exec(blockContent)) !== null) {
-      parts.push({
-        condition: elsifMatch[1].trim(),
-        content: elsifMatch[2],
-      });
+    if (token === '(') {
+      const result = parseSum();
+      if (next() !== ')') fail();
+      return result;
     }
 
-    // Extract else branch
-    const elseMatch = /{%\s*else\s*%}([\s\S]*)$/.exec(blockContent);
-    if (elseMatch) {
-      parts.push({
-        condition: null, // else has no condition (always true)
-        content: elseMatch[1],
-      });
+    if (token === '-') {
+      const result = parseFactor();
+      return { value: -result.value, unit: result.unit };
     }
 
-    // Evaluate conditions and return matching branch
-    for (const part of parts) {
-      if (part.condition === null) {
-        // else branch - always matches
-        return part.content;
+    const functionName = token.toLowerCase();
+    if (/^[a-z-]+$/.test(functionName) && peek() === '(') {
+      next();
+      const args = parseArguments();
+      switch (functionName) {
+        case 'calc':
+          if (args.length !== 1) fail();
+          return args[0];
+        case 'min':
+          return { value: Math.min(...args.map((arg) => arg.value)), unit: sameUnit(args) };
+        case 'max':
+          return { value: Math.max(...args.map((arg) => arg.value)), unit: sameUnit(args) };
+        case 'clamp':
+          if (args.length !== 3) fail();
+          return {
+            value: Math.max(args[0].value, Math.min(args[1].value, args[2].value)),
+            unit: sameUnit(args),
+          };
+        default:
+          return fail();
       }
+    }
 
-      if (evaluateCondition(part.condition)) {
-        return part.content;
+    const numberMatch = token.match(/^(-?\d*\.?\d+(?:e-?\d+)?)([a-z%]*)$/i);
+    if (!numberMatch) return fail();
+    return toPx(parseFloat(numberMatch[1]), numberMatch[2]);
+  };
+
+  const parseProduct = () => {
+    let result = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      const operator = next();
+      const right = parseFactor();
+      if (operator === '*') {
+        if (result.unit && right.unit) fail();
+        result = { value: result.value * right.value, unit: result.unit || right.unit };
+      } else {
+        if (right.unit || right.value === 0) fail();
+        result = { value: result.value / right.value, unit: result.unit };
       }
     }
+    return result;
+  };
+
+  const parseSum = () => {
+    let result = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const operator = next();
+      const right = parseProduct();
+      // 0 without unit may be added to lengths
+      const unit =
+        result.value === 0 && !result.unit
+          ? right.unit
+          : right.value === 0 && !right.unit
+            ? result.unit
+            : sameUnit([result, right]);
+      result = { value: operator === '+' ? result.value + right.value : result.value - right.value, unit };
+    }
+    return result;
+  };
 
-    // No condition matched, remove entire block
-    return '';
-  });
+  try {
+    const result = parseSum();
+    return position === tokens.length ? result : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Evaluates a Liquid condition like "settings.icon_stroke == 'thin'"
+ * Builds markdown lines with the effective value of a variable at each configured viewport width.
+ * Returns null when the value doesn't depend on the viewport (no math functions, vw units or @media variants)
  */
-function evaluateCondition(condition) {
-  condition = condition.trim();
+function getViewportValueLines(varName, config) {
+  const varData = cssVariables.get(varName);
+  if (!varData || config.viewportWidths.length === 0) {
+    return null;
+  }
 
-  // Handle comparison operators: ==, !=, <, >, <=, >=
-  const comparisonMatch = condition.match(/settings\.([\w.]+)\s*(==|!=|<=|>=|<|>)\s*(['"]?)(.+?)\3/);
-  if (comparisonMatch) {
-    const [, settingKey, operator, quote, compareValue] = comparisonMatch;
-    const settingValue = getSettingValue(settingKey);
+  const rows = [];
+  let dependsOnViewport = (varData.media || []).length > 0;
 
-    // Convert to appropriate type
-    const actualValue = settingValue;
-    const expectedValue = quote ? compareValue : isNaN(compareValue) ? compareValue : Number(compareValue);
+  for (const width of config.viewportWidths) {
+    const { value } = substituteVariables(getEffectiveValue(varData, width), [varName], width);
+    if (/\b(?:calc|clamp|min|max)\(|\dvw\b/i.test(value)) {
+      dependsOnViewport = true;
+    }
 
-    switch (operator) {
-      case '==':
-        return actualValue == expectedValue;
-      case '!=':
-        return actualValue != expectedValue;
-      case '<':
-        return actualValue < expectedValue;
-      case '>':
-        return actualValue > expectedValue;
-      case '<=':
-        return actualValue <= expectedValue;
-      case '>=':
-        return actualValue >= expectedValue;
+    const computed = evaluateCssMath(value, width, config);
+    let display = value;
+    if (computed) {
+      const rounded = Number(computed.value.toFixed(2));
+      display = computed.unit === 'px' ? `${rounded}px` : String(rounded);
+      if (computed.unit === 'px' && config.remToPxConversion) {
+        display += ` (${pxToRem(rounded, config.baseFontSize)}rem)`;
+      }
     }
+    rows.push(`| ${width}px | \`${display}\` |`);
   }
 
-  // Handle simple boolean check: settings.variable
-  const simpleBoolMatch = condition.match(/settings\.([\w.]+)/);
-  if (simpleBoolMatch) {
-    const settingKey = simpleBoolMatch[1];
-    const settingValue = getSettingValue(settingKey);
-    return settingValue !== false && settingValue !== undefined && settingValue !== null && settingValue !== '';
+  if (!dependsOnViewport) {
+    return null;
   }
 
-  return false;
+  return ['| Viewport | Value |', '| ---: | --- |', ...rows];
 }
 
 /**
- * Gets setting value from settings_data or settings_schema
+ * Builds diagnostics for declarations (in the given file) of variables that are part of a var() cycle
  */
-function getSettingValue(settingKey) {
-  // Check cache first
-  if (settingValueCache.has(settingKey)) {
-    return settingValueCache.get(settingKey);
+function getCircularReferenceDiagnostics(filePath) {
+  const diagnostics = [];
+
+  for (const [varName, varData] of cssVariables) {
+    const locations = getDeclarationLocations(varData).filter((location) => location.uri.fsPath === filePath);
+    if (locations.length === 0) continue;
+
+    const { cycle } = getResolvedVariable(varName);
+    if (!cycle) continue;
+
+    for (const location of locations) {
+      const start = location.range.start;
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(start, start.translate(0, varName.length)),
+        `Circular reference: ${cycle.join(' → ')}`,
+        vscode.DiagnosticSeverity.Warning,
+      );
+      diagnostic.source = 'liquid-css-variables';
+      diagnostic.code = 'circular-reference';
+      diagnostics.push(diagnostic);
+    }
   }
 
-  let settingValue = shopifySettings?.[settingKey];
+  return diagnostics;
+}
 
-  // Handle nested properties (e.g., settings.section.property)
-  if (settingKey.includes('.')) {
-    const keys = settingKey.split('.');
-    settingValue = shopifySettings;
-    for (const key of keys) {
-      if (settingValue && typeof settingValue === 'object') {
-        settingValue = settingValue[key];
-      } else {
-        settingValue = undefined;
-        break;
-      }
-    }
+/**
+ * Checks whether a variable is declared anywhere (indexed :root variables or any --x: declaration)
+ */
+function isVariableDefined(varName) {
+  if (cssVariables.has(varName)) {
+    return true;
   }
+  const usages = cssVariableUsages.get(varName);
+  return !!usages && usages.some((usage) => usage.kind === 'declaration');
+}
 
-  // If not found in settings_data, check settings_schema for default value
-  if (settingValue === undefined && shopifySettingsSchema) {
-    settingValue = shopifySettingsSchema[settingKey];
+/**
+ * Computes the Levenshtein distance between two strings
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
   }
-
-  // Cache result
-  settingValueCache.set(settingKey, settingValue);
-  return settingValue;
+  return previous[b.length];
 }
 
 /**
- * Parses Liquid echo commands for CSS variables
- * NOTE: Expects clean CSS text (after liquidToCSS conversion)
+ * Returns the closest known variable names (by edit distance, then by shared prefix)
  */
-function parseLiquidEchoVariables(text, filePath) {
-  // Text is already cleaned from Liquid tags
-  // This function may not be needed anymore, but keeping for compatibility
-
-  // Find echo with CSS variables, e.g.: echo '--font-size--h1: 2rem;'
-  const echoRegex = /echo\s+['"]([^'"]*--[\w-]+\s*:[^'"]+)['"]/g;
-  let echoMatch;
-
-  while ((echoMatch = echoRegex.exec(text)) !== null) {
-    const echoContent = echoMatch[1];
-
-    // Extract CSS variables from echo
-    const variableRegex = /--([\w-]+)\s*:\s*([^;]+)/g;
-    let varMatch;
+function getClosestVariableNames(varName, limit = 3) {
+  const candidates = new Set(cssVariables.keys());
+  for (const [name, usages] of cssVariableUsages) {
+    if (usages.some((usage) => usage.kind === 'declaration')) {
+      candidates.add(name);
+    }
+  }
 
-    while ((varMatch = variableRegex.exec(echoContent)) !== null) {
-      const varName = `--${varMatch[1]}`;
-      let varValue = varMatch[2].trim();
+  const maxDistance = Math.max(2, Math.floor(varName.length / 3));
+  const scored = [];
+  for (const candidate of candidates) {
+    if (candidate === varName) continue;
 
-      // Clean Liquid interpolation like [font_size]
-      varValue = varValue.replace(/\[[\w-]+\]/g, '...');
+    let prefixLength = 0;
+    while (prefixLength < varName.length && varName[prefixLength] === candidate[prefixLength]) {
+      prefixLength++;
+    }
 
-      if (!cssVariables.has(varName)) {
-        cssVariables.set(varName, {
-          value: varValue,
-          file: path.basename(filePath),
-          filePath: filePath,
-        });
-      }
+    const distance = getEditDistance(varName, candidate);
+    // Accept close typos, or names sharing a meaningful prefix (beyond the leading "--")
+    if (distance <= maxDistance || prefixLength >= Math.max(6, varName.length - 4)) {
+      scored.push({ name: candidate, distance, prefixLength });
     }
   }
+
+  scored.sort((a, b) => a.distance - b.distance || b.prefixLength - a.prefixLength || a.name.localeCompare(b.name));
+  return scored.slice(0, limit).map((entry) => entry.name);
 }
 
 /**
- * Parses :root blocks with nested braces support
- * NOTE: Expects clean CSS text (after liquidToCSS conversion)
+ * Builds diagnostics for var() usages of undefined variables without a fallback
  */
-function parseRootBlocks(text, filePath) {
-  // Simple match for :root blocks (text is already cleaned from Liquid)
-  // Reset lastIndex for global regex\n  REGEX.rootBlock.lastIndex = 0;
-  let rootStartMatch;
-
-  while ((rootStartMatch = REGEX.rootBlock.exec(text)) !== null) {
-    // Position after the opening {
-    const startPos = rootStartMatch.index + rootStartMatch[0].length;
-    const endPos = findMatchingBrace(text, startPos);
+function getUndefinedVariableDiagnostics(usages) {
+  const diagnostics = [];
 
-    if (endPos === -1) {
+  for (const usage of usages) {
+    if (usage.kind !== 'usage' || usage.hasFallback || usage.dynamic || isVariableDefined(usage.name)) {
       continue;
     }
 
-    const rootContent = text.substring(startPos, endPos - 1);
+    const start = new vscode.Position(usage.line, usage.character);
+    const range = new vscode.Range(start, start.translate(0, usage.length));
+    const suggestions = getClosestVariableNames(usage.name, 1);
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions[0]}?` : '';
+    const diagnostic = new vscode.Diagnostic(
+      range,
+      `Undefined CSS variable ${usage.name} (no fallback value).${hint}`,
+      vscode.DiagnosticSeverity.Warning,
+    );
+    diagnostic.source = 'liquid-css-variables';
+    diagnostic.code = 'undefined-variable';
+    diagnostics.push(diagnostic);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Checks whether diagnostics should be published for a file (css, scss and liquid files matched by the
+ * include patterns; files only scanned for references are left alone)
+ */
+function isDiagnosableFile(filePath) {
+  return includedFiles.has(filePath) && /\.(css|scss|liquid)$/i.test(filePath);
+}
 
-    // Parse base variables (outside @media)
-    parseVariablesInBlock(rootContent, filePath, null);
+/**
+ * Checks whether a variable is referenced via var() anywhere in the workspace
+ */
+function isVariableUsed(varName) {
+  if ((cssVariableUsages.get(varName) || []).some((usage) => usage.kind === 'usage')) {
+    return true;
+  }
 
-    // Parse @media blocks
-    parseMediaBlocks(rootContent, filePath);
+  // var(--size-{{ name }}) may reference any variable starting with --size-
+  for (const [prefix, usages] of cssVariableUsages) {
+    if (varName.startsWith(prefix) && usages.some((usage) => usage.kind === 'prefix')) {
+      return true;
+    }
   }
+
+  return false;
 }
 
 /**
- * Parses CSS variables in a block of text (optimized)
+ * Returns indexed variables that are never referenced via var(), grouped by source file
  */
-function parseVariablesInBlock(content, filePath, mediaQuery) {
-  // Reset lastIndex for global regex
-  REGEX.cssVariable.lastIndex = 0;
-  let varMatch;
+function getUnusedVariables() {
+  const unusedByFile = new Map();
 
-  while ((varMatch = REGEX.cssVariable.exec(content)) !== null) {
-    const varName = `--${varMatch[1]}`;
-    const varValue = varMatch[2].trim();
+  for (const [varName, varData] of cssVariables) {
+    if (isVariableUsed(varName)) continue;
 
-    // Store or update the variable
-    if (!cssVariables.has(varName)) {
-      cssVariables.set(varName, {
-        value: varValue,
-        file: path.basename(filePath),
-        filePath: filePath,
-        media: mediaQuery ? [{ query: mediaQuery, value: varValue }] : [],
-      });
-    } else {
-      // Variable exists - add media query if applicable
-      if (mediaQuery) {
-        const varData = cssVariables.get(varName);
-        varData.media.push({ query: mediaQuery, value: varValue });
-      }
+    if (!unusedByFile.has(varData.file)) {
+      unusedByFile.set(varData.file, []);
     }
+    unusedByFile.get(varData.file).push({ name: varName, data: varData });
   }
+
+  return unusedByFile;
 }
 
 /**
- * Parses @media blocks and extracts CSS variables from them
+ * Builds diagnostics for declarations (in the given file) of variables that are never used
  */
-function parseMediaBlocks(content, filePath) {
-  // Match @media ... { ... }
-  // Reset lastIndex for global regex
-  REGEX.mediaQuery.lastIndex = 0;
-  let mediaMatch;
+function getUnusedVariableDiagnostics(filePath) {
+  const diagnostics = [];
+
+  for (const [varName, varData] of cssVariables) {
+    const locations = getDeclarationLocations(varData).filter((location) => location.uri.fsPath === filePath);
+    if (locations.length === 0 || isVariableUsed(varName)) continue;
+
+    for (const location of locations) {
+      const start = location.range.start;
+      const range = new vscode.Range(start, start.translate(0, varName.length));
+      const diagnostic = new vscode.Diagnostic(
+        range,
+        `CSS variable ${varName} is never used`,
+        vscode.DiagnosticSeverity.Hint,
+      );
+      diagnostic.source = 'liquid-css-variables';
+      diagnostic.code = 'unused-variable';
+      diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+      diagnostics.push(diagnostic);
+    }
+  }
 
-  while ((mediaMatch = REGEX.mediaQuery.exec(content)) !== null) {
-    const mediaQuery = mediaMatch[1].trim();
-    const startPos = mediaMatch.index + mediaMatch[0].length;
-    const endPos = findMatchingBrace(content, startPos);
+  return diagnostics;
+}
 
-    if (endPos === -1) {
-      continue;
+/**
+ * Builds notes for font_picker values in settings_data.json whose family is not in the offline font catalog
+ * (font properties and filters can't resolve them, so the handle itself ends up in the CSS)
+ */
+function getUnknownFontDiagnostics(settingsPath) {
+  const text = fs.readFileSync(settingsPath, 'utf8');
+  const lineStarts = getLineStarts(text);
+  const toPosition = (offset) => {
+    const { line, character } = offsetToLineCharacter(lineStarts, offset);
+    return new vscode.Position(line, character);
+  };
+  const diagnostics = [];
+
+  for (const settingId of fontPickerSettingIds) {
+    const valueRegex = new RegExp(`"${settingId}"\\s*:\\s*"([^"]*)"`, 'dg');
+    let valueMatch;
+    while ((valueMatch = valueRegex.exec(text)) !== null) {
+      const handle = valueMatch[1];
+      if (getShopifyFont(handle)) continue;
+
+      const [start, end] = valueMatch.indices[1];
+      const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(toPosition(start), toPosition(end)),
+        `Font ${handle} is not in the offline font catalog, so ${settingId}.family and font filters are not resolved`,
+        vscode.DiagnosticSeverity.Information,
+      );
+      diagnostic.source = 'liquid-css-variables';
+      diagnostic.code = 'unknown-font';
+      diagnostics.push(diagnostic);
     }
+  }
+
+  return diagnostics;
+}
 
-    const mediaContent = content.substring(startPos, endPos - 1);
+/**
+ * Builds all enabled diagnostics for a file
+ */
+function getFileDiagnostics(filePath, usages) {
+  const config = getExtensionConfig();
+  const diagnostics = [];
 
-    // Parse variables inside @media block
-    parseVariablesInBlock(mediaContent, filePath, mediaQuery);
+  if (config.undefinedVariableDiagnostics) {
+    diagnostics.push(...getUndefinedVariableDiagnostics(usages));
   }
+  if (config.unusedVariableDiagnostics) {
+    diagnostics.push(...getUnusedVariableDiagnostics(filePath));
+  }
+  diagnostics.push(...getCircularReferenceDiagnostics(filePath));
+
+  return diagnostics;
 }
 
 /**
- * Parses class blocks (e.g., .color-scheme-1) with nested braces support
- * NOTE: Expects clean CSS text (after liquidToCSS conversion)
+ * Publishes diagnostics for all indexed files (called after every scan)
  */
-function parseClassBlocks(text, filePath) {
-  // Text is already cleaned from Liquid tags
+function refreshDiagnostics() {
+  if (!diagnosticCollection) {
+    return;
+  }
 
-  // Match class blocks like .color-scheme-1 {, .some-class {
-  const classStartRegex = /\.[\w-]+\s*\{/gi;
-  let classStartMatch;
+  diagnosticCollection.clear();
 
-  while ((classStartMatch = classStartRegex.exec(text)) !== null) {
-    const startPos = classStartMatch.index + classStartMatch[0].length;
-    const endPos = findMatchingBrace(text, startPos);
+  // Group indexed usages by file
+  const usagesByFile = new Map();
+  for (const usages of cssVariableUsages.values()) {
+    for (const usage of usages) {
+      if (!usagesByFile.has(usage.filePath)) {
+        usagesByFile.set(usage.filePath, []);
+      }
+      usagesByFile.get(usage.filePath).push(usage);
+    }
+  }
 
-    if (endPos === -1) continue;
+  // Files declaring variables may have no usages at all
+  for (const varData of cssVariables.values()) {
+    for (const location of getDeclarationLocations(varData)) {
+      if (!usagesByFile.has(location.uri.fsPath)) {
+        usagesByFile.set(location.uri.fsPath, []);
+      }
+    }
+  }
 
-    const classContent = text.substring(startPos, endPos - 1);
+  for (const [filePath, usages] of usagesByFile) {
+    if (!isDiagnosableFile(filePath)) continue;
+    const diagnostics = getFileDiagnostics(filePath, usages);
+    if (diagnostics.length > 0) {
+      diagnosticCollection.set(vscode.Uri.file(filePath), diagnostics);
+    }
+  }
 
-    // Extract CSS variables (--variable-name: value;)
-    const lines = classContent.split('\n');
+  const settingsPath = getSettingsDataPath();
+  const fontDiagnostics = settingsPath ? getUnknownFontDiagnostics(settingsPath) : [];
+  if (fontDiagnostics.length > 0) {
+    diagnosticCollection.set(vscode.Uri.file(settingsPath), fontDiagnostics);
+  }
+}
 
-    for (const line of lines) {
-      // Skip comments and @media rules
-      if (line.trim().startsWith('/*') || line.trim().startsWith('@media')) {
-        continue;
-      }
+/**
+ * Updates diagnostics of an open document from its current (possibly unsaved) text
+ */
+function refreshDocumentDiagnostics(document) {
+  const filePath = document.uri.fsPath;
+  if (!diagnosticCollection || !indexedUsageFiles.has(filePath) || !isDiagnosableFile(filePath)) {
+    return;
+  }
 
-      const variableRegex = /--([\w-]+)\s*:\s*([^;]+);/g;
-      let varMatch;
+  const usages = collectVariableUsages(document.getText(), filePath);
+  diagnosticCollection.set(document.uri, getFileDiagnostics(filePath, usages));
+}
 
-      while ((varMatch = variableRegex.exec(line)) !== null) {
-        const varName = `--${varMatch[1]}`;
-        let varValue = varMatch[2].trim();
+/**
+ * Refreshes diagnostics of an edited document once typing pauses for DIAGNOSTICS_DELAY
+ */
+function scheduleDocumentDiagnostics(document) {
+  const filePath = document.uri.fsPath;
+  clearTimeout(diagnosticsTimers.get(filePath));
+  diagnosticsTimers.set(
+    filePath,
+    setTimeout(() => {
+      diagnosticsTimers.delete(filePath);
+      refreshDocumentDiagnostics(document);
+    }, DIAGNOSTICS_DELAY),
+  );
+}
 
-        // Text is already cleaned, just store it
-        if (!cssVariables.has(varName)) {
-          cssVariables.set(varName, {
-            value: varValue,
-            file: path.basename(filePath),
-            filePath: filePath,
-            media: [],
-          });
-        }
-      }
-    }
+/**
+ * Returns the range of a whole declaration (--x: value;) starting at position,
+ * extended to the full line when the declaration is the only thing on it
+ */
+function getDeclarationRemovalRange(document, position) {
+  const text = document.getText();
+  const start = document.offsetAt(position);
+  const declarationMatch = text.substring(start).match(/^--[\w-]+\s*:(?:\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|[^;{}])*;?/);
+  if (!declarationMatch) {
+    return null;
+  }
+
+  const end = start + declarationMatch[0].length;
+  const startPosition = document.positionAt(start);
+  const endPosition = document.positionAt(end);
+  const startLine = document.lineAt(startPosition.line);
+  const endLine = document.lineAt(endPosition.line);
+  const textBefore = startLine.text.substring(0, startPosition.character);
+  const textAfter = endLine.text.substring(endPosition.character);
+
+  if (!textBefore.trim() && !textAfter.trim()) {
+    return new vscode.Range(startLine.range.start, endLine.rangeIncludingLineBreak.end);
   }
+
+  const trailingSpaces = textAfter.match(/^\s*/)[0].length;
+  return new vscode.Range(startPosition, endPosition.translate(0, trailingSpaces));
 }
 
 /**
@@ -1357,18 +1669,37 @@ class CssVariableHoverProvider {
       return null;
     }
 
+    if (
+      SCRIPT_LANGUAGES.includes(document.languageId) &&
+      !isScriptVariableReference(document.getText(), document.offsetAt(range.start))
+    ) {
+      return null;
+    }
+
     const varData = cssVariables.get(word);
     const config = getExtensionConfig();
+    const resolved = getResolvedVariable(word);
 
     // Build hover content
     const contents = [];
     contents.push(`**CSS Variable:** \`${word}\``);
     contents.push(`**Value:** \`${varData.value}\``);
 
-    // Create clickable link to file
+    // Show computed value and alias chain for var() references
+    if (resolved.cycle) {
+      contents.push(`**Circular reference:** \`${resolved.cycle.join(' → ')}\``);
+    } else if (resolved.value !== varData.value) {
+      contents.push(`**Computed value:** \`${resolved.value}\``);
+      if (resolved.chain.length > 1) {
+        contents.push(`**Chain:** \`${resolved.chain.join(' → ')} → ${resolved.value}\``);
+      }
+    }
+
+    // Create clickable link to the declaration line
     if (varData.filePath) {
       const fileUri = vscode.Uri.file(varData.filePath);
-      contents.push(`**Source:** [${varData.file}](${fileUri.toString()})`);
+      const lineFragment = varData.line !== undefined ? `#L${varData.line + 1},${varData.character + 1}` : '';
+      contents.push(`**Source:** [${varData.file}](${fileUri.toString()}${lineFragment})`);
     } else {
       contents.push(`**Source:** ${varData.file}`);
     }
@@ -1383,62 +1714,247 @@ class CssVariableHoverProvider {
     }
 
     // Add rem↔px conversion if applicable
-    if (config.remToPxConversion) {
-      const value = varData.value.trim();
-      const remMatch = value.match(/([\d.]+)\s*rem/);
-      if (remMatch) {
-        const pxValue = remToPx(remMatch[1], config.baseFontSize);
-        if (pxValue) {
-          contents.push('');
-          contents.push(`**Convert to px:** \`${pxValue}px\``);
-        }
-      } else {
-        const pxMatch = value.match(/([\d.]+)\s*px/);
-        if (pxMatch) {
-          const remValue = pxToRem(pxMatch[1], config.baseFontSize);
-          if (remValue) {
-            contents.push('');
-            contents.push(`**Convert to rem:** \`${remValue}rem\``);
-          }
-        }
-      }
+    const conversion = getUnitConversion(resolved.value, config);
+    if (conversion) {
+      contents.push('');
+      contents.push(`**Convert to ${conversion.unit}:** \`${conversion.value}\``);
+    }
+
+    // Add computed values at configured viewport widths (calc/clamp/min/max and @media variants)
+    const viewportLines = getViewportValueLines(word, config);
+    if (viewportLines) {
+      contents.push('');
+      contents.push(`**At viewport width:**\n\n${viewportLines.join('\n')}`);
+    }
+
+    // Add values per section instance (templates/product.json › main, …)
+    const sectionLines = getSectionValueLines(varData);
+    if (sectionLines) {
+      contents.push('');
+      contents.push(`**Section instances:**\n\n${sectionLines.join('\n')}`);
+    }
+
+    // Add values per color scheme (.color-scheme-1 … .color-scheme-N)
+    const schemeLines = getColorSchemeValueLines(word, varData);
+    if (schemeLines) {
+      contents.push('');
+      contents.push(`**Color schemes:**\n\n${schemeLines.join('\n')}`);
     }
 
     const markdown = new vscode.MarkdownString(contents.join('\n\n'));
     markdown.isTrusted = true; // Enable command links
+    markdown.supportHtml = true; // Color scheme swatches
 
     return new vscode.Hover(markdown, range);
   }
 }
 
 /**
- * Provider for CSS variable autocompletion
+ * Value types expected by CSS properties (for ranking completions in property values)
  */
-class CssVariableCompletionProvider {
-  provideCompletionItems(document, position, token, context) {
-    const linePrefix = document.lineAt(position).text.substring(0, position.character);
-    const config = getExtensionConfig();
-    const completionItems = [];
+const PROPERTY_VALUE_TYPES = [
+  {
+    type: 'color',
+    properties: [
+      'color',
+      'background(?:-color)?',
+      'border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?-color',
+      'outline-color',
+      'text-decoration-color',
+      'column-rule-color',
+      'caret-color',
+      'accent-color',
+      'fill',
+      'stroke',
+      'stop-color',
+      'flood-color',
+    ],
+  },
+  {
+    type: 'length',
+    properties: [
+      '(?:min-|max-)?(?:width|height|block-size|inline-size)',
+      '(?:margin|padding|inset|scroll-margin|scroll-padding)(?:-[a-z-]+)?',
+      'gap',
+      'row-gap',
+      'column-gap',
+      'top',
+      'right',
+      'bottom',
+      'left',
+      'font-size',
+      'letter-spacing',
+      'word-spacing',
+      'text-indent',
+      'flex-basis',
+      'outline-offset',
+      'outline-width',
+      'border(?:-[a-z]+)*-(?:radius|width)',
+      'line-height',
+    ],
+  },
+  { type: 'font', properties: ['font-family'] },
+  {
+    type: 'number',
+    properties: [
+      'opacity',
+      'z-index',
+      'font-weight',
+      'flex-grow',
+      'flex-shrink',
+      'order',
+      'line-height',
+      'aspect-ratio',
+    ],
+  },
+].map(({ type, properties }) => ({ type, pattern: new RegExp(`^(?:${properties.join('|')})$`) }));
 
-    // Check once for insertion context
-    const inVarContext = linePrefix.includes('var(');
+/**
+ * Classifies a (resolved) variable value: color, color-channels (bare triplets), length, number, font or other
+ */
+function getValueType(value) {
+  const trimmed = value.trim();
+  const color = parseColorValue(trimmed);
+  if (color) return color.format.startsWith('triplet') ? 'color-channels' : 'color';
+  if (/^(?:transparent|currentcolor)$/i.test(trimmed)) return 'color';
+  if (/^-?\d*\.?\d+$/.test(trimmed)) return 'number';
+  if (
+    /^-?\d*\.?\d+(?:px|rem|em|%|vw|vh|vmin|vmax|svh|dvh|ch|ex)$/i.test(trimmed) ||
+    /^(?:calc|clamp|min|max)\(/i.test(trimmed)
+  ) {
+    return 'length';
+  }
+  // Font stacks contain a quoted family name or a generic/system family keyword
+  const fontFamilyPatterns = [
+    /(?:^|,)\s*(?:"[^"]*"|'[^']*')\s*(?:,|$)/,
+    /(?:^|,)\s*(?:serif|sans-serif|monospace|cursive|fantasy)\s*(?:,|$)/i,
+    /(?:^|,)\s*(?:system-ui|ui-[a-z-]+|-apple-system|BlinkMacSystemFont)\s*(?:,|$)/i,
+  ];
+  if (fontFamilyPatterns.some((pattern) => pattern.test(trimmed))) {
+    return 'font';
+  }
+  return 'other';
+}
+
+/**
+ * Returns the value types a CSS property accepts (empty array for unknown properties and custom properties)
+ */
+function getPropertyValueTypes(property) {
+  return PROPERTY_VALUE_TYPES.filter((entry) => entry.pattern.test(property.toLowerCase())).map((entry) => entry.type);
+}
+
+/**
+ * Finds the property whose value is being typed at offset ("color: |", "padding: 0 |").
+ * Returns { property, typed } or null when the offset is not in a declaration value inside CSS
+ */
+function getPropertyValueContext(languageId, text, offset) {
+  const region = getCssRegions(languageId, text).find(([start, end]) => offset >= start && offset <= end);
+  if (!region) {
+    return null;
+  }
+
+  // Outside style="" attributes, declarations are inside a rule block (skips selectors like a:hover)
+  const prefix = text.substring(region[0], offset);
+  const inAttribute = /["']$/.test(text.substring(0, region[0]));
+  if (!inAttribute && (prefix.match(/{/g) || []).length <= (prefix.match(/}/g) || []).length) {
+    return null;
+  }
+
+  const declarationMatch = prefix.match(
+    /(?:^|[{;\s"'])(--[\w-]+|[a-z][\w-]*)\s*:(?!:)\s*((?:[^;{}:(]|\([^()]*\))*?)([\w-]*)$/i,
+  );
+  if (!declarationMatch) {
+    return null;
+  }
+
+  // Skip media features such as (min-width: 768px) and selectors such as a:hover
+  const propertyStart = declarationMatch.index + declarationMatch[0].indexOf(declarationMatch[1]);
+  const before = prefix.substring(0, propertyStart).trimEnd();
+  if (before.endsWith('(')) {
+    return null;
+  }
+
+  return { property: declarationMatch[1], typed: declarationMatch[3] };
+}
+
+/**
+ * Finds a custom property name being typed at offset where a bare --name is expected:
+ * setProperty('--|'), getPropertyValue('--|'), removeProperty('--|'), JSX style={{ '--|': ... }}
+ * and style="--|: ..." attributes, also when the call or object spans lines.
+ * Returns the typed text ('', '-' or '--partial') or null
+ */
+function getPropertyNameContext(text, offset) {
+  const prefix = text.substring(Math.max(0, offset - CONTEXT_LOOKBEHIND), offset);
+  const patterns = [
+    /\.(?:setProperty|getPropertyValue|removeProperty)\(\s*['"`](--[\w-]*|-?)$/,
+    /style=\{\{(?:[^{}]*,)?\s*['"`](--[\w-]*|-?)$/,
+    /\sstyle\s*=\s*(?:"(?:[^"]*;)?|'(?:[^']*;)?)\s*(--[\w-]*|-?)$/i,
+  ];
+
+  for (const pattern of patterns) {
+    const nameMatch = prefix.match(pattern);
+    if (nameMatch) {
+      return nameMatch[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a --name starting at offset in a script file is a CSS variable reference (inside a string
+ * or var(), which may open on a previous line), so decrements like --count are not taken for variables
+ */
+function isScriptVariableReference(text, offset) {
+  return /(?:['"`]|var\(\s*)$/.test(text.substring(Math.max(0, offset - CONTEXT_LOOKBEHIND), offset));
+}
+
+/**
+ * Provider for CSS variable autocompletion
+ */
+class CssVariableCompletionProvider {
+  provideCompletionItems(document, position, token, context) {
+    const linePrefix = document.lineAt(position).text.substring(0, position.character);
+    const config = getExtensionConfig();
+    const completionItems = [];
+
+    // Check once for insertion context: directly inside var( (including a var() fallback)
+    const inVarContext = /var\(\s*[\w-]*$/.test(linePrefix);
+
+    // Bare names in setProperty('--x'), JSX style objects and style="--x: ..." attributes
+    const typedName = inVarContext ? null : getPropertyNameContext(document.getText(), document.offsetAt(position));
 
-    // Only provide completions inside var() context
-    if (!inVarContext) {
+    // Outside var(), complete values of CSS properties with var(--x)
+    const propertyContext =
+      inVarContext || typedName !== null
+        ? null
+        : getPropertyValueContext(document.languageId, document.getText(), document.offsetAt(position));
+
+    if (!inVarContext && typedName === null && !propertyContext) {
       return completionItems;
     }
 
-    const afterColonOrSpace = linePrefix.match(/[:\s]$/);
+    const expectedTypes = propertyContext ? getPropertyValueTypes(propertyContext.property) : [];
+    const typedLength = propertyContext ? propertyContext.typed.length : typedName !== null ? typedName.length : 0;
+    const replaceRange = new vscode.Range(position.translate(0, -typedLength), position);
 
     // Check if user already typed '--' (to avoid duplication like '---variable')
     const alreadyTypedDashes = linePrefix.match(/--$/);
 
     for (const [varName, varData] of cssVariables) {
       const item = new vscode.CompletionItem(varName, vscode.CompletionItemKind.Variable);
-      item.detail = varData.value;
+      const resolved = getResolvedVariable(varName);
+      const valueType = getValueType(resolved.value);
+      const schemeValue = getActiveColorSchemeValue(varData);
+      item.detail = schemeValue ? `${schemeValue.value} (${schemeValue.id})` : resolved.value;
 
       // Create documentation
       const docParts = [`**Value:** \`${varData.value}\``, `**From:** ${varData.file}`];
+      if (schemeValue) {
+        docParts.push(`**In ${schemeValue.id}:** \`${schemeValue.value}\``);
+      }
+      if (resolved.chain.length > 1) {
+        docParts.push(`**Chain:** \`${resolved.chain.join(' → ')} → ${resolved.value}\``);
+      }
 
       // Add media query information if present
       if (varData.media && varData.media.length > 0) {
@@ -1447,38 +1963,48 @@ class CssVariableCompletionProvider {
       }
 
       // Add rem↔px conversion hints
-      if (config.remToPxConversion) {
-        const value = varData.value.trim();
-        const remMatch = value.match(/([\d.]+)\s*rem/);
-        if (remMatch) {
-          const pxValue = remToPx(remMatch[1], config.baseFontSize);
-          if (pxValue) docParts.push(`**Convert:** \`${pxValue}px\``);
-        } else {
-          const pxMatch = value.match(/([\d.]+)\s*px/);
-          if (pxMatch) {
-            const remValue = pxToRem(pxMatch[1], config.baseFontSize);
-            if (remValue) docParts.push(`**Convert:** \`${remValue}rem\``);
-          }
-        }
-      }
+      const conversion = getUnitConversion(resolved.value, config);
+      if (conversion) docParts.push(`**Convert:** \`${conversion.value}\``);
+
+      const viewportLines = getViewportValueLines(varName, config);
+      if (viewportLines) docParts.push(`**At viewport width:**\n\n${viewportLines.join('\n')}`);
 
       item.documentation = new vscode.MarkdownString(docParts.join('\n\n'));
 
       // Set insertion text based on context
-      if (alreadyTypedDashes) {
+      if (propertyContext) {
+        // Bare channel triplets are only valid as color inside rgb()/rgba()
+        const isColorProperty = expectedTypes.includes('color');
+        if (isColorProperty && valueType === 'color-channels') {
+          const channels = resolved.value.split(',').length;
+          item.insertText = channels === 4 ? `rgba(var(${varName}))` : `rgb(var(${varName}))`;
+        } else {
+          item.insertText = `var(${varName})`;
+        }
+        item.range = replaceRange;
+        item.filterText = varName;
+
+        // Compatible variables first; everything is listed when the property is unknown
+        const compatible =
+          expectedTypes.length === 0 ||
+          expectedTypes.includes(valueType) ||
+          (isColorProperty && valueType === 'color-channels');
+        item.sortText = `${compatible ? 0 : 1}_${varName}`;
+      } else if (typedName !== null) {
+        item.insertText = varName;
+        item.range = replaceRange;
+        item.sortText = varName;
+      } else if (alreadyTypedDashes) {
         // User typed '--', we need to replace it with the full variable name
         const replaceRange = new vscode.Range(position.line, position.character - 2, position.line, position.character);
         item.additionalTextEdits = [vscode.TextEdit.delete(replaceRange)];
         item.insertText = varName;
-      } else if (inVarContext) {
-        item.insertText = varName;
-      } else if (afterColonOrSpace) {
-        item.insertText = `var(${varName})`;
+        item.sortText = varName;
       } else {
         item.insertText = varName;
+        item.sortText = varName;
       }
 
-      item.sortText = varName;
       completionItems.push(item);
     }
 
@@ -1486,35 +2012,853 @@ class CssVariableCompletionProvider {
   }
 }
 
+/**
+ * Provider for go-to-definition of CSS variables (base declaration and @media variants)
+ */
+class CssVariableDefinitionProvider {
+  provideDefinition(document, position, token) {
+    // Match CSS variables like --variable-name or inside var(--variable-name)
+    const range = document.getWordRangeAtPosition(position, /--[\w-]+/);
+    if (!range) {
+      return null;
+    }
+
+    const varData = cssVariables.get(document.getText(range));
+    if (!varData) {
+      return null;
+    }
+
+    return getDeclarationLocations(varData);
+  }
+}
+
+/**
+ * Provider for Find All References (var() usages and declarations across the workspace)
+ */
+class CssVariableReferenceProvider {
+  provideReferences(document, position, context, token) {
+    const range = document.getWordRangeAtPosition(position, /--[\w-]+/);
+    if (!range) {
+      return null;
+    }
+
+    const varName = document.getText(range);
+    const locations = [];
+    const seen = new Set();
+
+    const addLocation = (filePath, line, character, length) => {
+      const key = `${filePath}:${line}:${character}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const start = new vscode.Position(line, character);
+      const locationRange = new vscode.Range(start, start.translate(0, length));
+      locations.push(new vscode.Location(vscode.Uri.file(filePath), locationRange));
+    };
+
+    for (const usage of getVariableUsages(varName, document)) {
+      if (usage.kind === 'declaration' && !context.includeDeclaration) continue;
+      addLocation(usage.filePath, usage.line, usage.character, usage.length);
+    }
+
+    // Declarations generated by Liquid (e.g. echo in {% liquid %}) are only known to the variables index
+    if (context.includeDeclaration && cssVariables.has(varName)) {
+      for (const location of getDeclarationLocations(cssVariables.get(varName))) {
+        addLocation(location.uri.fsPath, location.range.start.line, location.range.start.character, 0);
+      }
+    }
+
+    return locations;
+  }
+}
+
+/**
+ * Provider for renaming a CSS variable everywhere it is declared and used
+ */
+class CssVariableRenameProvider {
+  prepareRename(document, position, token) {
+    const range = document.getWordRangeAtPosition(position, /--[\w-]+/);
+    if (!range) {
+      throw new Error('Place the cursor on a CSS variable (--name) to rename it');
+    }
+
+    const varName = document.getText(range);
+    if (!cssVariables.has(varName) && !cssVariableUsages.has(varName)) {
+      throw new Error(`${varName} is not a known CSS variable`);
+    }
+
+    return range;
+  }
+
+  provideRenameEdits(document, position, newName, token) {
+    const range = document.getWordRangeAtPosition(position, /--[\w-]+/);
+    if (!range) {
+      return null;
+    }
+
+    const oldName = document.getText(range);
+    const targetName = newName.startsWith('--') ? newName : `--${newName}`;
+
+    if (!/^--[\w-]+$/.test(targetName)) {
+      throw new Error(`"${newName}" is not a valid CSS variable name`);
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    if (targetName === oldName) {
+      return edit;
+    }
+
+    // Refuse to merge two variables into one
+    if (cssVariables.has(targetName)) {
+      throw new Error(`${targetName} is already defined in ${cssVariables.get(targetName).file}`);
+    }
+
+    const seen = new Set();
+    let skipped = 0;
+
+    for (const usage of getVariableUsages(oldName, document)) {
+      // Names built with Liquid interpolation can't be renamed safely
+      if (usage.dynamic || usage.length !== oldName.length) {
+        skipped++;
+        continue;
+      }
+
+      const key = `${usage.filePath}:${usage.line}:${usage.character}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const start = new vscode.Position(usage.line, usage.character);
+      const usageRange = new vscode.Range(start, start.translate(0, oldName.length));
+      edit.replace(vscode.Uri.file(usage.filePath), usageRange, targetName);
+    }
+
+    if (skipped > 0) {
+      vscode.window.showWarningMessage(
+        `${skipped} occurrence(s) of ${oldName} are generated by Liquid and were not renamed. ` +
+          'Please update them manually.',
+      );
+    }
+
+    return edit;
+  }
+}
+
+/**
+ * Finds the index right after the parenthesis closing the one at openIndex
+ */
+function findMatchingParen(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')') {
+      depth--;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Provider for color swatches on var() usages and :root declarations that resolve to colors
+ */
+class CssVariableColorProvider {
+  provideDocumentColors(document, token) {
+    const text = document.getText();
+    const colors = [];
+    const swatchOffsets = new Set(); // A declaration whose value is a var() usage gets one swatch, not two
+    const toVscodeColor = (color) => new vscode.Color(color.r / 255, color.g / 255, color.b / 255, color.a);
+
+    // var(--x) usages
+    const varRegex = /var\(\s*(--[\w-]+)/g;
+    let match;
+    while ((match = varRegex.exec(text)) !== null) {
+      const color = cssVariables.has(match[1]) && parseColorValue(getResolvedValue(match[1]));
+      if (!color) continue;
+
+      const end = findMatchingParen(text, match.index + 3);
+      if (end === -1) continue;
+
+      const range = new vscode.Range(document.positionAt(match.index), document.positionAt(end));
+      colors.push(new vscode.ColorInformation(range, toVscodeColor(color)));
+      swatchOffsets.add(match.index);
+    }
+
+    // Declarations (value as resolved by the index, e.g. {{ scheme.settings.background.rgb }})
+    const declarationRegex = /(?<![\w&-])(--[\w-]+)\s*:\s*((?:\{\{[^}]*\}\}|[^;{}])*?)\s*(?:;|$)/gm;
+    while ((match = declarationRegex.exec(text)) !== null) {
+      const [, varName, sourceValue] = match;
+      const varData = cssVariables.get(varName);
+      if (!varData || !sourceValue) continue;
+
+      // Literal colors in stylesheets already get VS Code's built-in swatch
+      if (['css', 'scss', 'less'].includes(document.languageId) && parseColorValue(sourceValue)) continue;
+
+      const { line, character } = document.positionAt(match.index);
+      const declarations = [varData, ...(varData.media || [])];
+      const declaration = declarations.find(
+        (entry) => entry.filePath === document.uri.fsPath && entry.line === line && entry.character === character,
+      );
+      const color = declaration && parseColorValue(substituteVariables(declaration.value, [varName]).value);
+      if (!color) continue;
+
+      const valueStart = match.index + match[0].indexOf(sourceValue, varName.length);
+      if (swatchOffsets.has(valueStart)) continue;
+
+      const range = new vscode.Range(
+        document.positionAt(valueStart),
+        document.positionAt(valueStart + sourceValue.length),
+      );
+      colors.push(new vscode.ColorInformation(range, toVscodeColor(color)));
+    }
+
+    return colors;
+  }
+
+  provideColorPresentations(color, context, token) {
+    const text = context.document.getText(context.range);
+
+    // var() usages and values coming from Liquid settings can't be edited in place
+    if (text.startsWith('var(') || text.includes('{{') || text.includes('{%')) {
+      return [];
+    }
+
+    const original = parseColorValue(text);
+    const rgba = { r: color.red * 255, g: color.green * 255, b: color.blue * 255, a: color.alpha };
+    const formats = original ? [original.format] : ['hex', 'rgb', 'hsl'];
+
+    return formats.map((format) => {
+      const label = formatColorValue(rgba, format);
+      const presentation = new vscode.ColorPresentation(label);
+      presentation.textEdit = vscode.TextEdit.replace(context.range, label);
+      return presentation;
+    });
+  }
+}
+
+/**
+ * Returns a unit-aware key for a single length/dimension value (1rem and 16px share a key)
+ */
+function getDimensionKey(value, baseFontSize) {
+  const dimensionMatch = value.trim().match(/^(-?\d*\.?\d+)(px|rem|%|em|vw|vh|ms|s|deg)$/i);
+  if (!dimensionMatch) {
+    return null;
+  }
+
+  const number = parseFloat(dimensionMatch[1]);
+  const unit = dimensionMatch[2].toLowerCase();
+  if (unit === 'px' || unit === 'rem') {
+    const px = unit === 'rem' ? number * baseFontSize : number;
+    return `length:${Number(px.toFixed(4))}`;
+  }
+  return `${unit}:${number}`;
+}
+
+/**
+ * Builds lookup tables of variable values: unit-aware dimensions and colors.
+ * Variables whose @media, color scheme or section variants resolve to a different value are left out
+ */
+function buildValueIndex(config) {
+  const dimensions = new Map(); // key -> [varName]
+  const colors = []; // [{ name, color, channels }]
+
+  for (const [varName, varData] of cssVariables) {
+    const value = varData.value.trim();
+    const variantValues = [...(varData.media || []), ...(varData.schemes || []), ...(varData.sections || [])].map(
+      (variant) => variant.value.trim(),
+    );
+
+    const dimensionKey = getDimensionKey(value, config.baseFontSize);
+    if (dimensionKey) {
+      if (variantValues.some((variantValue) => getDimensionKey(variantValue, config.baseFontSize) !== dimensionKey)) {
+        continue;
+      }
+      if (!dimensions.has(dimensionKey)) {
+        dimensions.set(dimensionKey, []);
+      }
+      dimensions.get(dimensionKey).push(varName);
+      continue;
+    }
+
+    const color = parseColorValue(value);
+    const isSameColor = (variantValue) => {
+      const variantColor = parseColorValue(variantValue);
+      return variantColor !== null && formatColorValue(variantColor, 'rgb') === formatColorValue(color, 'rgb');
+    };
+    if (color && variantValues.every(isSameColor)) {
+      const channels = color.format === 'triplet-comma' ? value.split(',').length : 3;
+      colors.push({ name: varName, color, channels });
+    }
+  }
+
+  return { dimensions, colors };
+}
+
+/**
+ * Returns replacements (var() expressions) for a literal color matching variable values.
+ * Variables holding bare triplets ("r g b" / "r, g, b") are wrapped in rgb()/rgba()
+ */
+function getColorReplacements(literal, valueIndex) {
+  const replacements = [];
+  const sameRgb = (a, b) => a.r === b.r && a.g === b.g && a.b === b.b;
+  const sameAlpha = (a, b) => Math.abs(a.a - b.a) < 0.01;
+
+  for (const entry of valueIndex.colors) {
+    const { name, color, channels } = entry;
+    if (!sameRgb(color, literal)) continue;
+
+    if (color.format === 'triplet-space') {
+      replacements.push({ name, text: literal.a < 1 ? `rgb(var(${name}) / ${literal.a})` : `rgb(var(${name}))` });
+    } else if (color.format === 'triplet-comma' && channels === 3) {
+      replacements.push({ name, text: literal.a < 1 ? `rgba(var(${name}), ${literal.a})` : `rgb(var(${name}))` });
+    } else if (color.format === 'triplet-comma') {
+      if (sameAlpha(color, literal)) replacements.push({ name, text: `rgba(var(${name}))` });
+    } else if (sameAlpha(color, literal)) {
+      replacements.push({ name, text: `var(${name})` });
+    }
+  }
+
+  return replacements;
+}
+
+/**
+ * Returns [start, end] offsets of the parts of a document that contain CSS.
+ * Stylesheets are CSS as a whole; Liquid/HTML only inside style blocks and style="" attributes
+ */
+function getCssRegions(languageId, text) {
+  const regions = [];
+  if (['css', 'scss', 'less'].includes(languageId)) {
+    regions.push([0, text.length]);
+    return regions;
+  }
+
+  const styleRegex = new RegExp(REGEX.styleBlock);
+  let styleMatch;
+  while ((styleMatch = styleRegex.exec(text)) !== null) {
+    const group = styleMatch[1] !== undefined ? 1 : styleMatch[2] !== undefined ? 2 : 3;
+    regions.push(styleMatch.indices[group]);
+  }
+  const attributeRegex = /\sstyle\s*=\s*(["'])([\s\S]*?)\1/dgi;
+  while ((styleMatch = attributeRegex.exec(text)) !== null) {
+    regions.push(styleMatch.indices[2]);
+  }
+
+  return regions;
+}
+
+/**
+ * Finds literal values in CSS declarations that match variable values.
+ * Liquid/HTML documents are searched only inside style blocks and style="" attributes.
+ * Returns [{ range, literal, replacements: [{ name, text }] }]
+ */
+function findHardcodedValues(document) {
+  const config = getExtensionConfig();
+  const valueIndex = buildValueIndex(config);
+  const text = document.getText();
+  const results = [];
+
+  if (valueIndex.dimensions.size === 0 && valueIndex.colors.length === 0) {
+    return results;
+  }
+
+  const regions = getCssRegions(document.languageId, text);
+
+  // Values inside var(), url() and Liquid tags are never replaced
+  const mask = (value) =>
+    value.replace(/var\((?:[^()]|\([^()]*\))*\)|url\([^)]*\)|{{[\s\S]*?}}|{%[\s\S]*?%}/gi, (match) =>
+      ' '.repeat(match.length),
+    );
+
+  for (const [regionStart, regionEnd] of regions) {
+    const region = text.substring(regionStart, regionEnd);
+    // property: value (custom properties and media features like (min-width: 768px) are skipped)
+    const declarationRegex = /(^|[{;\s"'])([a-z][\w-]*)\s*:(?!:)((?:{{[\s\S]*?}}|{%[\s\S]*?%}|[^;{}])*)/gi;
+    let declarationMatch;
+
+    while ((declarationMatch = declarationRegex.exec(region)) !== null) {
+      const [, , , value] = declarationMatch;
+      const before = region.substring(0, declarationMatch.index + declarationMatch[1].length).trimEnd();
+      if (before.endsWith('(')) continue;
+
+      const valueStart = regionStart + declarationMatch.index + declarationMatch[0].length - value.length;
+      const literalRegex = new RegExp(REGEX.hardcodedLiteral);
+      const maskedValue = mask(value);
+      let literalMatch;
+
+      while ((literalMatch = literalRegex.exec(maskedValue)) !== null) {
+        const literal = literalMatch[0];
+        let replacements = [];
+
+        const dimensionKey = getDimensionKey(literal, config.baseFontSize);
+        if (dimensionKey) {
+          const names = valueIndex.dimensions.get(dimensionKey) || [];
+          replacements = names.map((name) => ({ name, text: `var(${name})` }));
+        } else {
+          const color = parseColorValue(literal);
+          if (color) replacements = getColorReplacements(color, valueIndex);
+        }
+
+        if (replacements.length === 0) continue;
+
+        const start = valueStart + literalMatch.index;
+        results.push({
+          range: new vscode.Range(document.positionAt(start), document.positionAt(start + literal.length)),
+          literal,
+          replacements,
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Provider for quick fixes (undefined/unused variables) and hard-coded value replacements
+ */
+class CssVariableCodeActionProvider {
+  async provideCodeActions(document, range, context, token) {
+    const actions = [];
+
+    // Replace hard-coded values with matching variables
+    const hardcodedValues = findHardcodedValues(document);
+    for (const hardcoded of hardcodedValues) {
+      if (!hardcoded.range.intersection(range)) continue;
+
+      for (const replacement of hardcoded.replacements.slice(0, 5)) {
+        const action = new vscode.CodeAction(
+          `Replace ${hardcoded.literal} with ${replacement.text}`,
+          vscode.CodeActionKind.RefactorRewrite,
+        );
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.replace(document.uri, hardcoded.range, replacement.text);
+        actions.push(action);
+      }
+    }
+
+    // "Fix all" variant: only values matching exactly one variable are replaced
+    const unambiguous = hardcodedValues.filter((hardcoded) => hardcoded.replacements.length === 1);
+    if (actions.length > 0 && unambiguous.length > 0) {
+      const action = new vscode.CodeAction(
+        `Replace all hard-coded values with variables in file (${unambiguous.length})`,
+        vscode.CodeActionKind.RefactorRewrite,
+      );
+      action.edit = new vscode.WorkspaceEdit();
+      for (const hardcoded of unambiguous) {
+        action.edit.replace(document.uri, hardcoded.range, hardcoded.replacements[0].text);
+      }
+      actions.push(action);
+    }
+
+    // Removal of unused variables (offered with or without the unused-variable diagnostics).
+    // Every declaration is removed: @media overrides, color schemes and declarations in other files
+    const wordRange = document.getWordRangeAtPosition(range.start, /--[\w-]+/);
+    const varName = wordRange && document.getText(wordRange);
+    const locations =
+      varName && cssVariables.has(varName) && !isVariableUsed(varName)
+        ? getDeclarationLocations(cssVariables.get(varName))
+        : [];
+    const isDeclaration = locations.some(
+      (location) => location.uri.fsPath === document.uri.fsPath && location.range.start.isEqual(wordRange.start),
+    );
+
+    if (isDeclaration) {
+      const edit = new vscode.WorkspaceEdit();
+      let removals = 0;
+      for (const location of locations) {
+        let locationDocument = document;
+        if (location.uri.fsPath !== document.uri.fsPath) {
+          try {
+            locationDocument = await vscode.workspace.openTextDocument(location.uri);
+          } catch (error) {
+            console.error(`Error opening ${location.uri.fsPath}:`, error);
+            continue;
+          }
+        }
+
+        // Skip positions that no longer hold the declaration (file edited since the last scan)
+        const nameRange = locationDocument.getWordRangeAtPosition(location.range.start, /--[\w-]+/);
+        if (!nameRange || locationDocument.getText(nameRange) !== varName) continue;
+
+        const removalRange = getDeclarationRemovalRange(locationDocument, location.range.start);
+        if (removalRange) {
+          edit.delete(location.uri, removalRange);
+          removals++;
+        }
+      }
+
+      if (removals > 0) {
+        const action = new vscode.CodeAction(`Remove unused variable ${varName}`, vscode.CodeActionKind.QuickFix);
+        action.edit = edit;
+        action.diagnostics = context.diagnostics.filter(
+          (diagnostic) => diagnostic.code === 'unused-variable' && diagnostic.range.start.isEqual(wordRange.start),
+        );
+        actions.push(action);
+      }
+    }
+
+    for (const diagnostic of context.diagnostics) {
+      if (diagnostic.code !== 'undefined-variable') continue;
+
+      const varName = document.getText(diagnostic.range);
+      const suggestions = getClosestVariableNames(varName);
+
+      suggestions.forEach((suggestion, index) => {
+        const action = new vscode.CodeAction(`Change to ${suggestion}`, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.replace(document.uri, diagnostic.range, suggestion);
+        action.diagnostics = [diagnostic];
+        action.isPreferred = index === 0;
+        actions.push(action);
+      });
+    }
+
+    return actions;
+  }
+}
+
+/**
+ * Checks whether all characters of query appear in text in the same order
+ */
+function isFuzzyMatch(text, query) {
+  if (text.includes(query)) {
+    return true;
+  }
+
+  let index = 0;
+  for (const char of query) {
+    index = text.indexOf(char, index);
+    if (index === -1) {
+      return false;
+    }
+    index++;
+  }
+  return true;
+}
+
+/**
+ * Provider for workspace symbol search (Ctrl+T) over indexed CSS variables
+ */
+class CssVariableWorkspaceSymbolProvider {
+  provideWorkspaceSymbols(query, token) {
+    // "#radius", "--radius" and "radius" all search for the same names
+    const search = query.replace(/^#/, '').replace(/^--/, '').toLowerCase();
+    const symbols = [];
+
+    for (const [varName, varData] of cssVariables) {
+      if (search && !isFuzzyMatch(varName.substring(2).toLowerCase(), search)) continue;
+
+      const [location] = getDeclarationLocations(varData);
+      if (!location) continue;
+
+      symbols.push(
+        new vscode.SymbolInformation(
+          varName,
+          vscode.SymbolKind.Variable,
+          `${varData.value} · ${varData.file}`,
+          location,
+        ),
+      );
+    }
+
+    return symbols;
+  }
+}
+
+/**
+ * Parses the rule structure of a style block (rules, at-rules and --variable declarations)
+ * directly from Liquid source: Liquid tags, comments and strings are skipped, so offsets
+ * point into the original file
+ */
+function parseCssOutline(text, start, end) {
+  const root = { children: [] };
+  const stack = [root];
+  let preludeStart = start;
+
+  const addDeclaration = (declarationEnd) => {
+    const raw = text.substring(preludeStart, declarationEnd);
+    const declarationMatch = raw.match(/^(\s*)(--[\w-]+)\s*:([\s\S]*)$/);
+    if (declarationMatch) {
+      const nameStart = preludeStart + declarationMatch[1].length;
+      stack[stack.length - 1].children.push({
+        kind: 'variable',
+        name: declarationMatch[2],
+        detail: declarationMatch[3]
+          .replace(/{%[\s\S]*?%}/g, '')
+          .replace(/;\s*$/, '')
+          .trim(),
+        start: nameStart,
+        end: declarationEnd,
+        selectionStart: nameStart,
+        selectionEnd: nameStart + declarationMatch[2].length,
+        children: [],
+      });
+    }
+  };
+
+  let i = start;
+  while (i < end) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    // Comments and Liquid tags in front of a rule or declaration are not part of it
+    const isLeading = !text.substring(preludeStart, i).trim();
+
+    if (char === '/' && next === '*') {
+      const commentEnd = text.indexOf('*/', i + 2);
+      i = commentEnd === -1 ? end : commentEnd + 2;
+      if (isLeading) preludeStart = i;
+      continue;
+    }
+
+    if (char === '{' && (next === '{' || next === '%')) {
+      const closing = next === '{' ? '}}' : '%}';
+      const tagEnd = text.indexOf(closing, i + 2);
+      const tag = text.substring(i, tagEnd === -1 ? end : tagEnd + 2);
+      i = tagEnd === -1 ? end : tagEnd + 2;
+      if (isLeading && next === '%') preludeStart = i;
+
+      // Skip {% comment %}...{% endcomment %} and {% raw %}...{% endraw %} entirely
+      const blockTag = tag.match(/^{%-?\s*(comment|raw)\s*-?%}$/);
+      if (blockTag) {
+        const blockEndRegex = new RegExp(`{%-?\\s*end${blockTag[1]}\\s*-?%}`, 'g');
+        blockEndRegex.lastIndex = i;
+        const blockEnd = blockEndRegex.exec(text);
+        i = blockEnd ? blockEnd.index + blockEnd[0].length : end;
+        if (isLeading) preludeStart = i;
+      }
+      continue;
+    }
+
+    // An unterminated string ends at the line break, as in parseCssTree
+    if (char === '"' || char === "'") {
+      i++;
+      while (i < end && text[i] !== char && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (text[i] === char) i++;
+      continue;
+    }
+
+    if (char === '{') {
+      const prelude = text.substring(preludeStart, i);
+      const leading = prelude.match(/^\s*/)[0].length;
+      const name = prelude
+        .replace(/{%[\s\S]*?%}/g, '')
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      const node = {
+        kind: name.startsWith('@') ? 'at-rule' : 'rule',
+        name: name || '(anonymous)',
+        start: preludeStart + leading,
+        end: end,
+        selectionStart: preludeStart + leading,
+        selectionEnd: preludeStart + prelude.trimEnd().length,
+        children: [],
+      };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+      preludeStart = i + 1;
+    } else if (char === '}') {
+      addDeclaration(i);
+      if (stack.length > 1) {
+        stack.pop().end = i + 1;
+      }
+      preludeStart = i + 1;
+    } else if (char === ';') {
+      addDeclaration(i + 1);
+      preludeStart = i + 1;
+    }
+
+    i++;
+  }
+
+  addDeclaration(end);
+  return root.children;
+}
+
+/**
+ * Provider for the document outline of Liquid files (style blocks, rules, @media and variables)
+ */
+class CssVariableDocumentSymbolProvider {
+  provideDocumentSymbols(document, token) {
+    const text = document.getText();
+    const symbols = [];
+    const kinds = {
+      rule: vscode.SymbolKind.Class,
+      'at-rule': vscode.SymbolKind.Namespace,
+      variable: vscode.SymbolKind.Variable,
+    };
+
+    const toRange = (start, end) => new vscode.Range(document.positionAt(start), document.positionAt(end));
+
+    const toSymbol = (node) => {
+      let detail = node.detail || '';
+      if (node.kind === 'variable' && cssVariables.has(node.name)) {
+        // Show the resolved value when this is the indexed declaration (or one of its @media variants)
+        const varData = cssVariables.get(node.name);
+        const position = document.positionAt(node.start);
+        const declaration = [varData, ...(varData.media || [])].find(
+          (entry) =>
+            entry.filePath === document.uri.fsPath &&
+            entry.line === position.line &&
+            entry.character === position.character,
+        );
+        if (declaration) detail = declaration.value;
+      }
+
+      const symbol = new vscode.DocumentSymbol(
+        node.name,
+        detail,
+        kinds[node.kind],
+        toRange(node.start, node.end),
+        toRange(node.selectionStart, node.selectionEnd),
+      );
+      symbol.children = node.children.map(toSymbol);
+      return symbol;
+    };
+
+    const styleRegex = new RegExp(REGEX.styleBlock);
+    let match;
+    while ((match = styleRegex.exec(text)) !== null) {
+      const group = match[1] !== undefined ? 1 : match[2] !== undefined ? 2 : 3;
+      const [contentStart, contentEnd] = match.indices[group];
+      const openingTag = text.substring(match.index, contentStart).replace(/\s+/g, ' ');
+      const blockName = group === 3 ? '<style>' : openingTag.replace(/{%-?\s*(\w+)\s*-?%}/, '{% $1 %}');
+
+      const blockSymbol = new vscode.DocumentSymbol(
+        blockName,
+        '',
+        vscode.SymbolKind.Module,
+        toRange(match.index, match.index + match[0].length),
+        toRange(match.index, contentStart),
+      );
+      blockSymbol.children = parseCssOutline(text, contentStart, contentEnd).map(toSymbol);
+      symbols.push(blockSymbol);
+    }
+
+    return symbols;
+  }
+}
+
+/**
+ * Provider for inlay hints with the resolved value after each var() usage
+ */
+class CssVariableInlayHintsProvider {
+  constructor() {
+    this.onDidChangeInlayHints = scanCompletedEmitter.event;
+  }
+
+  provideInlayHints(document, range, token) {
+    const config = getExtensionConfig();
+    if (!config.inlayHints) {
+      return [];
+    }
+
+    const startOffset = document.offsetAt(range.start);
+    const text = document.getText(range);
+    const hints = [];
+
+    const varRegex = /var\(\s*(--[\w-]+)/g;
+    let match;
+    while ((match = varRegex.exec(text)) !== null) {
+      const varData = cssVariables.get(match[1]);
+      if (!varData) continue;
+
+      const end = findMatchingParen(text, match.index + 3);
+      if (end === -1) continue;
+
+      const value = getResolvedValue(match[1]);
+      let label = value;
+      if (label.length > config.inlayHintsMaxLength) {
+        label = `${label.substring(0, Math.max(1, config.inlayHintsMaxLength - 1))}…`;
+      }
+
+      const conversion = getUnitConversion(value, config);
+      if (conversion && /^-?[\d.]+(?:px|rem)$/.test(value.trim())) {
+        label += ` (${conversion.value})`;
+      }
+
+      const hint = new vscode.InlayHint(document.positionAt(startOffset + end), `▸ ${label}`);
+      hint.paddingLeft = true;
+      hint.tooltip = new vscode.MarkdownString(`\`${match[1]}\`: \`${value}\`\n\nFrom: ${varData.file}`);
+      hints.push(hint);
+    }
+
+    return hints;
+  }
+}
+
+/**
+ * Shows the active color scheme in the status bar (hidden when the theme has no color schemes)
+ */
+function updateColorSchemeStatusBar() {
+  if (!colorSchemeStatusBarItem) return;
+
+  const schemeIds = getColorSchemeIds();
+  if (schemeIds.length === 0) {
+    colorSchemeStatusBarItem.hide();
+    return;
+  }
+
+  const activeId = schemeIds.includes(activeColorScheme) ? activeColorScheme : schemeIds[0];
+  colorSchemeStatusBarItem.text = `$(symbol-color) ${activeId}`;
+  colorSchemeStatusBarItem.tooltip = 'Color scheme used for CSS variable completion details (click to change)';
+  colorSchemeStatusBarItem.show();
+}
+
 /**
  * Extension activation
  */
 function activate(context) {
   console.log('Liquid CSS Variable Completion extension is now active');
 
+  // Diagnostics are published after every scan
+  diagnosticCollection = vscode.languages.createDiagnosticCollection('liquid-css-variables');
+
+  // Active color scheme is remembered per workspace
+  activeColorScheme = context.workspaceState.get('activeColorScheme', null);
+  colorSchemeStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  colorSchemeStatusBarItem.command = 'liquid-css-variables.selectColorScheme';
+  const schemeStatusListener = scanCompletedEmitter.event(() => updateColorSchemeStatusBar());
+
   // Initial file scan
   scanLiquidFiles();
 
   // Rescan on Liquid file save
   const liquidWatcher = vscode.workspace.createFileSystemWatcher('**/*.liquid');
-  liquidWatcher.onDidChange(() => scanLiquidFiles());
-  liquidWatcher.onDidCreate(() => scanLiquidFiles());
-  liquidWatcher.onDidDelete(() => scanLiquidFiles());
+  liquidWatcher.onDidChange(() => scheduleRescan());
+  liquidWatcher.onDidCreate(() => scheduleRescan());
+  liquidWatcher.onDidDelete(() => scheduleRescan());
+
+  // Rescan on stylesheet save (usages of variables)
+  const stylesheetWatcher = vscode.workspace.createFileSystemWatcher('**/*.{css,scss,less}');
+  stylesheetWatcher.onDidChange(() => scheduleRescan());
+  stylesheetWatcher.onDidCreate(() => scheduleRescan());
+  stylesheetWatcher.onDidDelete(() => scheduleRescan());
 
   // Watcher for config files (settings_data.json, settings_schema.json)
   const configWatcher = vscode.workspace.createFileSystemWatcher('**/config/settings*.json');
   configWatcher.onDidChange(() => {
     console.log('Config files changed, rescanning...');
-    scanLiquidFiles();
+    scheduleRescan();
   });
-  configWatcher.onDidCreate(() => scanLiquidFiles());
+  configWatcher.onDidCreate(() => scheduleRescan());
+
+  // Watcher for section instances (templates/*.json, section groups)
+  const sectionDataWatcher = vscode.workspace.createFileSystemWatcher('**/{templates,sections}/**/*.json');
+  sectionDataWatcher.onDidChange(() => scheduleRescan());
+  sectionDataWatcher.onDidCreate(() => scheduleRescan());
+  sectionDataWatcher.onDidDelete(() => scheduleRescan());
 
   // Listener for extension configuration changes
   const configChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
     if (event.affectsConfiguration('liquidCssVariables')) {
       console.log('Extension configuration changed, rescanning...');
       invalidateConfigCache();
-      scanLiquidFiles();
+      scheduleRescan();
     }
   });
 
@@ -1522,7 +2866,17 @@ function activate(context) {
   const completionProvider = new CssVariableCompletionProvider();
 
   const cssProvider = vscode.languages.registerCompletionItemProvider(
-    ['css', 'scss', 'less', 'liquid', 'html'],
+    ['css', 'scss', 'less', 'liquid'],
+    completionProvider,
+    '-',
+    '(',
+    ':',
+    ' ', // Triggers for autocompletion (value completions after "property:" and between values)
+  );
+
+  // HTML and script files only trigger on var( and -- so typing prose or code stays quiet
+  const embeddedCssProvider = vscode.languages.registerCompletionItemProvider(
+    ['html', ...SCRIPT_LANGUAGES],
     completionProvider,
     '-',
     '(', // Triggers for autocompletion
@@ -1532,10 +2886,157 @@ function activate(context) {
   const hoverProvider = new CssVariableHoverProvider();
 
   const cssHoverProvider = vscode.languages.registerHoverProvider(
-    ['css', 'scss', 'less', 'liquid', 'html'],
+    ['css', 'scss', 'less', 'liquid', 'html', ...SCRIPT_LANGUAGES],
     hoverProvider,
   );
 
+  // Register definition provider
+  const definitionProvider = vscode.languages.registerDefinitionProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableDefinitionProvider(),
+  );
+
+  // Register references provider
+  const referenceProvider = vscode.languages.registerReferenceProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableReferenceProvider(),
+  );
+
+  // Register rename provider
+  const renameProvider = vscode.languages.registerRenameProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableRenameProvider(),
+  );
+
+  // Register color provider (swatches for variables resolving to colors)
+  const colorProvider = vscode.languages.registerColorProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableColorProvider(),
+  );
+
+  // Register workspace symbol provider (Ctrl+T)
+  const workspaceSymbolProvider = vscode.languages.registerWorkspaceSymbolProvider(
+    new CssVariableWorkspaceSymbolProvider(),
+  );
+
+  // Register inlay hints provider (resolved values after var() usages)
+  const inlayHintsProvider = vscode.languages.registerInlayHintsProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableInlayHintsProvider(),
+  );
+
+  // Register outline provider for Liquid files
+  const documentSymbolProvider = vscode.languages.registerDocumentSymbolProvider(
+    ['liquid'],
+    new CssVariableDocumentSymbolProvider(),
+  );
+
+  // Register quick fixes for undefined/unused variables and hard-coded value replacements
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    ['css', 'scss', 'less', 'liquid', 'html'],
+    new CssVariableCodeActionProvider(),
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, vscode.CodeActionKind.RefactorRewrite] },
+  );
+
+  // Command listing variables that are never referenced via var()
+  const unusedCommand = vscode.commands.registerCommand('liquid-css-variables.showUnused', async () => {
+    const unusedByFile = getUnusedVariables();
+    if (unusedByFile.size === 0) {
+      vscode.window.showInformationMessage('✓ No unused CSS variables found');
+      return;
+    }
+
+    const items = [];
+    let unusedCount = 0;
+    for (const file of [...unusedByFile.keys()].sort()) {
+      const variables = unusedByFile.get(file);
+      unusedCount += variables.length;
+      items.push({ label: `${file} (${variables.length})`, kind: vscode.QuickPickItemKind.Separator });
+      for (const variable of variables) {
+        items.push({ label: variable.name, description: variable.data.value, variable });
+      }
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `${unusedCount} unused CSS variable(s) - select one to open its declaration`,
+      matchOnDescription: true,
+    });
+    if (!selected || !selected.variable) {
+      return;
+    }
+
+    const [location] = getDeclarationLocations(selected.variable.data);
+    if (location) {
+      const document = await vscode.workspace.openTextDocument(location.uri);
+      await vscode.window.showTextDocument(document, { selection: location.range });
+    }
+  });
+
+  // Command switching the settings_data.json preset used for values (rescans; the file is not modified)
+  const selectPresetCommand = vscode.commands.registerCommand('liquid-css-variables.selectSettingsPreset', async () => {
+    const data = readSettingsData();
+    const presetNames = Object.keys((data && data.presets) || {});
+    if (presetNames.length === 0) {
+      vscode.window.showInformationMessage('No presets found in config/settings_data.json');
+      return;
+    }
+
+    const currentName = typeof data.current === 'string' ? data.current : null;
+    const activeName = presetNames.includes(selectedSettingsPreset) ? selectedSettingsPreset : null;
+    const items = [
+      {
+        label: 'current',
+        description: currentName ? `preset "${currentName}"` : 'saved settings',
+        detail: activeName === null ? 'active' : undefined,
+        preset: null,
+      },
+      ...presetNames.map((name) => ({ label: name, detail: activeName === name ? 'active' : undefined, preset: name })),
+    ];
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: 'Settings preset for CSS variable values',
+    });
+    if (!selected) {
+      return;
+    }
+
+    selectedSettingsPreset = selected.preset;
+    const varCount = await scanLiquidFiles();
+    const message = `✓ Found ${varCount} CSS variables with settings preset "${selected.label}"`;
+    vscode.window.showInformationMessage(message);
+  });
+
+  // Command choosing the color scheme shown in completion details
+  const selectSchemeCommand = vscode.commands.registerCommand('liquid-css-variables.selectColorScheme', async () => {
+    const schemeIds = getColorSchemeIds();
+    if (schemeIds.length === 0) {
+      vscode.window.showInformationMessage('No color schemes found in settings (settings.color_schemes)');
+      return;
+    }
+
+    const items = schemeIds.map((id) => {
+      const background = getSettingValue(`color_schemes.${id}.settings.background`);
+      return {
+        label: id,
+        description: id === (activeColorScheme || schemeIds[0]) ? 'active' : undefined,
+        detail: typeof background === 'string' ? `background ${background}` : undefined,
+        id,
+      };
+    });
+    const selected = await vscode.window.showQuickPick(items, { placeHolder: 'Color scheme for CSS variable details' });
+    if (!selected) {
+      return;
+    }
+
+    activeColorScheme = selected.id;
+    await context.workspaceState.update('activeColorScheme', selected.id);
+    updateColorSchemeStatusBar();
+  });
+
+  // Keep diagnostics of open documents up to date while typing
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    scheduleDocumentDiagnostics(event.document);
+  });
+
   // Command for manual refresh
   const refreshCommand = vscode.commands.registerCommand('liquid-css-variables.refresh', async () => {
     try {
@@ -1556,18 +3057,48 @@ function activate(context) {
 
   context.subscriptions.push(
     cssProvider,
+    embeddedCssProvider,
     cssHoverProvider,
+    definitionProvider,
+    referenceProvider,
+    renameProvider,
+    colorProvider,
+    codeActionProvider,
+    workspaceSymbolProvider,
+    documentSymbolProvider,
+    inlayHintsProvider,
+    unusedCommand,
+    selectSchemeCommand,
+    selectPresetCommand,
+    colorSchemeStatusBarItem,
+    schemeStatusListener,
+    diagnosticCollection,
+    documentChangeListener,
     liquidWatcher,
+    stylesheetWatcher,
     configWatcher,
+    sectionDataWatcher,
     configChangeListener,
     refreshCommand,
   );
 }
 
 function deactivate() {
+  clearTimeout(rescanTimer);
+  rescanTimer = null;
+  diagnosticsTimers.forEach((timer) => clearTimeout(timer));
+  diagnosticsTimers.clear();
   cssVariables.clear();
-  shopifySettings = null;
-  shopifySettingsSchema = null;
+  cssVariableUsages.clear();
+  indexedUsageFiles.clear();
+  includedFiles.clear();
+  liquidFileCache.clear();
+  sectionSchemaCache.clear();
+  sectionInstances = [];
+  diagnosticCollection = null;
+  colorSchemeStatusBarItem = null;
+  setThemeSettings(null, null);
+  selectedSettingsPreset = null;
 }
 
 module.exports = {
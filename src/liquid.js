@@ -0,0 +1,1483 @@
+// Liquid renderer used to extract CSS from theme files (no dependency on the VS Code API).
+// Rendered output keeps the source offset of every character, so results map back to the Liquid files
+const fs = require('fs');
+const path = require('path');
+const { hexToRgba, hslToRgb, rgbToHsl, parseColorValue, formatColorValue, getRelativeLuminance } = require('./colors');
+const { getLineStarts, offsetToLineCharacter } = require('./css-parser');
+
+let shopifySettings = null; // Cache for settings_data.json
+let shopifySettingsSchema = null; // Cache for settings_schema.json
+const settingValueCache = new Map(); // Cache for setting value lookups (avoids repeated traversal)
+const liquidFileCache = new Map(); // Liquid sources of the current scan (for inlining partials): path -> text
+const sectionSchemaCache = new Map(); // Parsed {% schema %} JSON of section files: path -> schema (or null)
+
+// Offline catalog of the Shopify font library (font_picker handles):
+// slug -> { family, fallback_families, variants, system } (system fonts have no @font-face)
+const SHOPIFY_FONTS = require('./shopify-fonts.json');
+
+/**
+ * Sets the theme settings read through settings.* (settings_data.json values, then settings_schema.json defaults)
+ */
+function setThemeSettings(settings, settingsSchema) {
+  shopifySettings = settings;
+  shopifySettingsSchema = settingsSchema;
+  settingValueCache.clear();
+}
+
+/**
+ * Converts offset in liquidToCSS output to file and line/character in the original Liquid source
+ * (text inlined from rendered snippets maps to the snippet). source.lineStarts caches line starts per file
+ */
+function getSourcePosition(source, cssOffset) {
+  const offset = source.offsets[cssOffset];
+  if (offset === undefined) {
+    return { filePath: source.filePath, line: 0, character: 0 };
+  }
+
+  const filePath = source.files[cssOffset] || source.filePath;
+  if (!source.lineStarts.has(filePath)) {
+    source.lineStarts.set(filePath, getLineStarts(getLiquidFileText(filePath) || ''));
+  }
+  return { filePath, ...offsetToLineCharacter(source.lineStarts.get(filePath), offset) };
+}
+
+/**
+ * Formats setting value
+ */
+function formatSettingValue(value, varName) {
+  // Simply return value as is, without adding units
+  // Units (px, %, rem) are already in Liquid template
+
+  // If it's a number - return as string
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  // If it's a boolean value
+  if (typeof value === 'boolean') {
+    return value.toString();
+  }
+
+  // If it's a string
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  // For objects and other types
+  if (typeof value === 'object') {
+    return '[object]';
+  }
+
+  return String(value);
+}
+
+/**
+ * Splits Liquid source into text, output ({{ }}) and tag ({% %}) tokens.
+ * Applies whitespace control ({%- -%}, {{- -}}) and expands {% liquid %} lines into separate tags.
+ * Every token keeps the offset of its first character in the original file
+ */
+function tokenizeLiquid(source, baseOffset = 0) {
+  const tokens = [];
+  const delimiterRegex = /\{\{|\{%/g;
+  let position = 0;
+
+  const pushTag = (markup, start, trimLeft, trimRight) => {
+    const tagMatch = markup.match(/^(#|\w+)\s*([\s\S]*)$/);
+    const name = tagMatch ? tagMatch[1] : '';
+    const args = tagMatch ? tagMatch[2].trim() : markup;
+
+    if (name === 'echo') {
+      tokens.push({ type: 'output', markup: args, start: baseOffset + start, trimLeft, trimRight });
+      return;
+    }
+
+    if (name !== 'liquid') {
+      tokens.push({ type: 'tag', name, args, start: baseOffset + start, trimLeft, trimRight });
+      return;
+    }
+
+    // {% liquid %}: one tag per line, every line keeps its own offset
+    const argsOffset = start + source.substring(start).indexOf(args);
+    let lineOffset = 0;
+    for (const line of args.split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed) {
+        pushTag(trimmed, argsOffset + lineOffset + line.indexOf(trimmed), false, false);
+      }
+      lineOffset += line.length + 1;
+    }
+  };
+
+  while (position < source.length) {
+    delimiterRegex.lastIndex = position;
+    const delimiterMatch = delimiterRegex.exec(source);
+    const tagStart = delimiterMatch ? delimiterMatch.index : source.length;
+
+    if (tagStart > position) {
+      tokens.push({ type: 'text', text: source.substring(position, tagStart), start: baseOffset + position });
+    }
+    if (!delimiterMatch) break;
+
+    const isOutput = delimiterMatch[0] === '{{';
+    // Like Liquid itself, the first closing delimiter ends the tag (quotes are not taken into account)
+    const tagEnd = source.indexOf(isOutput ? '}}' : '%}', tagStart + 2);
+    if (tagEnd === -1) {
+      // Unclosed tag: keep the rest as text
+      tokens.push({ type: 'text', text: source.substring(tagStart), start: baseOffset + tagStart });
+      break;
+    }
+
+    let markup = source.substring(tagStart + 2, tagEnd);
+    const trimLeft = markup.startsWith('-');
+    const trimRight = markup.endsWith('-') && markup.length > 1;
+    markup = markup.substring(trimLeft ? 1 : 0, markup.length - (trimRight ? 1 : 0)).trim();
+
+    position = tagEnd + 2;
+
+    if (isOutput) {
+      tokens.push({ type: 'output', markup, start: baseOffset + tagStart, trimLeft, trimRight });
+    } else if (/^raw$/.test(markup)) {
+      // {% raw %}: everything up to {% endraw %} is text, Liquid inside is not evaluated
+      const endRawRegex = /{%-?\s*endraw\s*(-?)%}/g;
+      endRawRegex.lastIndex = position;
+      const endRawMatch = endRawRegex.exec(source);
+      const rawEnd = endRawMatch ? endRawMatch.index : source.length;
+      tokens.push({ type: 'tag', name: 'raw', args: '', start: baseOffset + tagStart, trimLeft, trimRight });
+      tokens.push({ type: 'text', text: source.substring(position, rawEnd), start: baseOffset + position });
+      if (!endRawMatch) break;
+      tokens.push({
+        type: 'tag',
+        name: 'endraw',
+        args: '',
+        start: baseOffset + rawEnd,
+        trimLeft: endRawMatch[0].startsWith('{%-'),
+        trimRight: endRawMatch[1] === '-',
+      });
+      position = rawEnd + endRawMatch[0].length;
+    } else {
+      pushTag(markup, tagStart, trimLeft, trimRight);
+    }
+  }
+
+  // Whitespace control: {%- trims the text before the tag, -%} the text after it
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'text') continue;
+
+    if (i > 0 && tokens[i - 1].trimRight) {
+      const trimmed = token.text.replace(/^\s+/, '');
+      token.start += token.text.length - trimmed.length;
+      token.text = trimmed;
+    }
+    if (i < tokens.length - 1 && tokens[i + 1].trimLeft) {
+      token.text = token.text.replace(/\s+$/, '');
+    }
+  }
+
+  return tokens.filter((token) => token.type !== 'text' || token.text);
+}
+
+/**
+ * Splits Liquid markup on a separator regex (sticky), ignoring separators inside quotes
+ */
+function splitLiquidArguments(markup, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < markup.length; i++) {
+    const char = markup[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else {
+      separator.lastIndex = i;
+      const separatorMatch = separator.exec(markup);
+      if (separatorMatch) {
+        parts.push(current.trim());
+        current = '';
+        i += separatorMatch[0].length - 1;
+        continue;
+      }
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  return parts.filter((part) => part);
+}
+
+/**
+ * Builds a Liquid syntax tree from tokens: text, output, assign, capture, if/unless, case, for, break/continue,
+ * style/stylesheet blocks and render/include/section partials.
+ * Comments ({% comment %}, {% # %}) are dropped, unknown tags are kept as no-op nodes
+ * and unclosed blocks end at the end of the template
+ */
+function parseLiquidTokens(tokens) {
+  let index = 0;
+
+  // Parses nodes until one of endTags (the end tag is not consumed)
+  const parseBody = (endTags) => {
+    const nodes = [];
+
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (token.type === 'tag' && endTags.includes(token.name)) {
+        return { nodes, stop: token };
+      }
+      index++;
+
+      if (token.type !== 'tag') {
+        nodes.push(token);
+        continue;
+      }
+
+      switch (token.name) {
+        case 'if':
+        case 'unless':
+          nodes.push(parseConditional(token));
+          break;
+
+        case 'for':
+          nodes.push(parseFor(token));
+          break;
+
+        case 'case':
+          nodes.push(parseCase(token));
+          break;
+
+        case 'capture': {
+          const body = parseBody(['endcapture']);
+          if (body.stop) index++;
+          nodes.push({ type: 'capture', name: token.args.replace(/^['"]|['"]$/g, ''), body: body.nodes });
+          break;
+        }
+
+        case 'comment':
+          skipComment();
+          break;
+
+        case '#':
+          break;
+
+        case 'style':
+        case 'stylesheet': {
+          const body = parseBody([`end${token.name}`]);
+          if (body.stop) index++;
+          nodes.push({ type: 'style', body: body.nodes });
+          break;
+        }
+
+        case 'render':
+        case 'include':
+        case 'section':
+          nodes.push({ type: 'partial', kind: token.name, args: token.args });
+          break;
+
+        case 'assign': {
+          const assignMatch = token.args.match(/^([\w-]+)\s*=\s*([\s\S]+)$/);
+          if (assignMatch) {
+            nodes.push({ type: 'assign', name: assignMatch[1], expression: assignMatch[2].trim() });
+          }
+          break;
+        }
+
+        case 'break':
+        case 'continue':
+          nodes.push({ type: token.name });
+          break;
+
+        default:
+          nodes.push({ type: 'tag', name: token.name, args: token.args });
+      }
+    }
+
+    return { nodes, stop: null };
+  };
+
+  const parseConditional = (token) => {
+    const endTag = `end${token.name}`;
+    const branches = [{ condition: token.args, negate: token.name === 'unless', body: [] }];
+
+    while (true) {
+      const { nodes, stop } = parseBody(['elsif', 'else', endTag]);
+      branches[branches.length - 1].body.push(...nodes);
+      if (!stop) break;
+      index++;
+
+      if (stop.name === 'elsif') {
+        branches.push({ condition: stop.args, negate: false, body: [] });
+      } else if (stop.name === 'else') {
+        branches.push({ condition: null, negate: false, body: [] });
+      } else {
+        break;
+      }
+    }
+
+    return { type: 'if', branches };
+  };
+
+  // {% case %}: text before the first {% when %} is ignored; when values are split on "," and "or"
+  const parseCase = (token) => {
+    const node = { type: 'case', expression: token.args, branches: [] };
+    let { stop } = parseBody(['when', 'else', 'endcase']);
+
+    while (stop && stop.name !== 'endcase') {
+      index++;
+      const values = stop.name === 'when' ? splitLiquidArguments(stop.args, /,|\bor\b/y) : null;
+      const body = parseBody(['when', 'else', 'endcase']);
+      node.branches.push({ values, body: body.nodes });
+      stop = body.stop;
+    }
+    if (stop) index++;
+
+    return node;
+  };
+
+  const parseFor = (token) => {
+    const forMatch = token.args.match(/^([\w-]+)\s+in\s+(\([^)]*\)|\S+)\s*([\s\S]*)$/);
+    const node = {
+      type: 'for',
+      variable: forMatch ? forMatch[1] : '',
+      collection: forMatch ? forMatch[2] : '',
+      modifiers: forMatch ? forMatch[3] : '',
+      body: [],
+      elseBody: [],
+    };
+
+    const body = parseBody(['else', 'endfor']);
+    node.body = body.nodes;
+    if (body.stop) {
+      index++;
+      if (body.stop.name === 'else') {
+        const elseBody = parseBody(['endfor']);
+        node.elseBody = elseBody.nodes;
+        if (elseBody.stop) index++;
+      }
+    }
+
+    return node;
+  };
+
+  // Skips everything up to the matching {% endcomment %}
+  const skipComment = () => {
+    let depth = 1;
+    while (index < tokens.length && depth > 0) {
+      const token = tokens[index++];
+      if (token.type !== 'tag') continue;
+      if (token.name === 'comment') depth++;
+      if (token.name === 'endcomment') depth--;
+    }
+  };
+
+  return parseBody([]).nodes;
+}
+
+/**
+ * Converts a Liquid value to its output string (nil renders as empty string, arrays are joined)
+ */
+function toLiquidString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toLiquidString).join('');
+  }
+  return formatSettingValue(value);
+}
+
+/**
+ * Turns a for-loop collection into an array.
+ * Hashes of objects (like settings.color_schemes) become objects with an id; other hashes become [key, value] pairs
+ */
+function toLiquidCollection(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) =>
+      item && typeof item === 'object' && !Array.isArray(item) ? { id: key, ...item } : [key, item],
+    );
+  }
+  return [];
+}
+
+/**
+ * Creates the forloop object for iteration i of a loop over length items
+ */
+function createForloop(i, length) {
+  return {
+    index: i + 1,
+    index0: i,
+    rindex: length - i,
+    rindex0: length - i - 1,
+    first: i === 0,
+    last: i === length - 1,
+    length,
+  };
+}
+
+/**
+ * Creates an empty Liquid render output for a file.
+ * offsets[i] / files[i] give the source offset and file of text[i];
+ * styleRanges holds [start, end] of everything rendered inside {% style %}/{% stylesheet %}
+ */
+function createLiquidOutput(filePath) {
+  return { text: '', offsets: [], files: [], styleRanges: [], filePath, stack: [filePath] };
+}
+
+/**
+ * Returns the source of a Liquid file: from the current scan when available, otherwise read from disk
+ */
+function getLiquidFileText(filePath) {
+  if (!liquidFileCache.has(filePath)) {
+    try {
+      liquidFileCache.set(filePath, fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      liquidFileCache.set(filePath, null);
+    }
+  }
+  return liquidFileCache.get(filePath);
+}
+
+/**
+ * Resolves the file of a partial: snippets/<name>.liquid for render/include, sections/<name>.liquid for section
+ */
+function getPartialPath(kind, name, fromFilePath) {
+  const themeRoot = path.dirname(path.dirname(fromFilePath));
+  const folder = kind === 'section' ? 'sections' : 'snippets';
+  return path.join(themeRoot, folder, `${name.replace(/\.liquid$/, '')}.liquid`);
+}
+
+/**
+ * Gets the {% schema %} JSON of a section file (cached per scan), or null
+ */
+function getSectionSchema(filePath) {
+  if (sectionSchemaCache.has(filePath)) {
+    return sectionSchemaCache.get(filePath);
+  }
+
+  let schema = null;
+  const text = getLiquidFileText(filePath) || '';
+  const schemaMatch = text.match(/{%-?\s*schema\s*-?%}([\s\S]*?){%-?\s*endschema\s*-?%}/);
+  if (schemaMatch) {
+    try {
+      schema = JSON.parse(schemaMatch[1]);
+    } catch (error) {
+      console.error(`Error parsing schema of ${filePath}:`, error);
+    }
+  }
+
+  sectionSchemaCache.set(filePath, schema);
+  return schema;
+}
+
+/**
+ * Collects the default values of schema settings: id -> default
+ */
+function getSchemaDefaults(settings) {
+  const defaults = {};
+  for (const setting of Array.isArray(settings) ? settings : []) {
+    if (setting.id && setting.default !== undefined) {
+      defaults[setting.id] = setting.default;
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Builds the Liquid `section` object of a section file: schema defaults overridden by the settings
+ * and blocks of a template/section group instance (blocks in block_order, each with block.settings)
+ */
+function createLiquidSection(filePath, id, instance = {}) {
+  const schema = getSectionSchema(filePath) || {};
+  const blockSchemas = Array.isArray(schema.blocks) ? schema.blocks : [];
+  const instanceBlocks = instance.blocks || {};
+
+  const blocks = [];
+  for (const blockId of instance.block_order || Object.keys(instanceBlocks)) {
+    const block = instanceBlocks[blockId];
+    if (!block || block.disabled) continue;
+    const blockSchema = blockSchemas.find((candidate) => candidate.type === block.type) || {};
+    blocks.push({
+      id: blockId,
+      type: block.type,
+      settings: { ...getSchemaDefaults(blockSchema.settings), ...(block.settings || {}) },
+      shopify_attributes: '',
+    });
+  }
+
+  return {
+    id,
+    settings: { ...getSchemaDefaults(schema.settings), ...(instance.settings || {}) },
+    blocks,
+  };
+}
+
+/**
+ * Inlines {% render %}, {% include %} or {% section %}.
+ * render/section get their own scope (named arguments, with/for parameters); include shares the caller's scope
+ */
+function renderLiquidPartial(node, variables, output) {
+  // 'name' [with|for expression [as alias]] [, key: value ...]
+  const partialMatch = node.args.match(
+    /^(['"])([\w.-]+)\1\s*(?:(with|for)\s+(.+?)(?:\s+as\s+([\w-]+))?)?\s*(?:,([\s\S]*))?$/,
+  );
+  if (!partialMatch || !output.filePath) {
+    return;
+  }
+
+  const [, , name, parameterKind, parameterExpression, alias, namedArguments] = partialMatch;
+  const partialPath = getPartialPath(node.kind, name, output.filePath);
+  // Recursive partials and deep nesting are not rendered
+  const isRenderable = output.stack.length < 10 && !output.stack.includes(partialPath);
+  const source = isRenderable ? getLiquidFileText(partialPath) : null;
+  if (source === null || source === undefined) {
+    return;
+  }
+
+  const scope = node.kind === 'include' ? variables : {};
+  if (node.kind === 'section') {
+    // Statically rendered sections use their schema defaults; the section id is the file name
+    scope.section = createLiquidSection(partialPath, name.replace(/\.liquid$/, ''));
+  }
+  for (const argument of splitLiquidArguments(namedArguments || '', /,/y)) {
+    const argumentMatch = argument.match(/^([\w-]+)\s*:\s*([\s\S]+)$/);
+    if (argumentMatch) {
+      scope[argumentMatch[1]] = evaluateLiquidExpression(argumentMatch[2], variables);
+    }
+  }
+
+  const nodes = parseLiquidTokens(tokenizeLiquid(source));
+  const variableName = alias || name.replace(/\.liquid$/, '');
+  const parameter = parameterKind ? evaluateLiquidExpression(parameterExpression, variables) : undefined;
+
+  const previousFilePath = output.filePath;
+  output.filePath = partialPath;
+  output.stack.push(partialPath);
+
+  if (parameterKind === 'for') {
+    const items = toLiquidCollection(parameter);
+    for (let i = 0; i < items.length; i++) {
+      scope[variableName] = items[i];
+      scope.forloop = createForloop(i, items.length);
+      renderLiquidNodes(nodes, scope, output);
+    }
+  } else {
+    if (parameterKind === 'with') {
+      scope[variableName] = parameter;
+    }
+    renderLiquidNodes(nodes, scope, output);
+  }
+
+  output.stack.pop();
+  output.filePath = previousFilePath;
+}
+
+/**
+ * Renders Liquid nodes into mapped output (text keeps its source offsets,
+ * output tags map to the offset of the tag). Returns 'break'/'continue' when a loop is interrupted
+ */
+function renderLiquidNodes(nodes, variables, output) {
+  const append = (text, offset, isSourceText) => {
+    output.text += text;
+    for (let i = 0; i < text.length; i++) {
+      output.offsets.push(isSourceText ? offset + i : offset);
+      output.files.push(output.filePath);
+    }
+  };
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        append(node.text, node.start, true);
+        break;
+
+      case 'output': {
+        const value = evaluateLiquidExpression(node.markup, variables);
+        // Missing theme settings stay visible as [name]
+        const settingMatch = value === undefined && node.markup.match(/^(?:scheme\.)?settings\.([\w.]+)$/);
+        append(settingMatch ? `[${settingMatch[1]}]` : toLiquidString(value), node.start, false);
+        break;
+      }
+
+      case 'assign':
+        variables[node.name] = evaluateLiquidExpression(node.expression, variables);
+        break;
+
+      case 'capture': {
+        const captured = createLiquidOutput(output.filePath);
+        captured.stack = output.stack;
+        renderLiquidNodes(node.body, variables, captured);
+        variables[node.name] = captured.text;
+        break;
+      }
+
+      case 'style': {
+        const start = output.text.length;
+        const signal = renderLiquidNodes(node.body, variables, output);
+        output.styleRanges.push([start, output.text.length]);
+        if (signal) return signal;
+        break;
+      }
+
+      case 'partial':
+        renderLiquidPartial(node, variables, output);
+        break;
+
+      case 'case': {
+        // Every matching {% when %} is rendered; {% else %} only if none matched
+        const value = evaluateLiquidExpression(node.expression, variables);
+        let matched = false;
+        for (const branch of node.branches) {
+          const isMatch =
+            branch.values === null
+              ? !matched
+              : branch.values.some((whenValue) =>
+                  liquidValuesEqual(evaluateLiquidExpression(whenValue, variables), value),
+                );
+          if (!isMatch) continue;
+          if (branch.values !== null) matched = true;
+          const signal = renderLiquidNodes(branch.body, variables, output);
+          if (signal) return signal;
+        }
+        break;
+      }
+
+      case 'if':
+        for (const branch of node.branches) {
+          const met =
+            branch.condition === null || evaluateLiquidCondition(branch.condition, variables) !== branch.negate;
+          if (met) {
+            const signal = renderLiquidNodes(branch.body, variables, output);
+            if (signal) return signal;
+            break;
+          }
+        }
+        break;
+
+      case 'for': {
+        let items = toLiquidCollection(evaluateLiquidExpression(node.collection, variables));
+        const offsetMatch = node.modifiers.match(/offset:\s*([^\s,]+)/);
+        const limitMatch = node.modifiers.match(/limit:\s*([^\s,]+)/);
+        if (offsetMatch) items = items.slice(parseInt(evaluateLiquidExpression(offsetMatch[1], variables)) || 0);
+        if (limitMatch) items = items.slice(0, parseInt(evaluateLiquidExpression(limitMatch[1], variables)) || 0);
+        if (/\breversed\b/.test(node.modifiers)) items = items.slice().reverse();
+
+        if (items.length === 0) {
+          const signal = renderLiquidNodes(node.elseBody, variables, output);
+          if (signal) return signal;
+          break;
+        }
+
+        // The loop variable and forloop are scoped to the loop; assigns inside it are not
+        const previousItem = variables[node.variable];
+        const previousForloop = variables.forloop;
+        for (let i = 0; i < items.length; i++) {
+          variables[node.variable] = items[i];
+          variables.forloop = createForloop(i, items.length);
+          if (renderLiquidNodes(node.body, variables, output) === 'break') break;
+        }
+        variables[node.variable] = previousItem;
+        variables.forloop = previousForloop;
+        break;
+      }
+
+      case 'break':
+      case 'continue':
+        return node.type;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluates a Liquid condition. `and`/`or` are evaluated right to left without precedence
+ * (`a and b or c` is `a and (b or c)`), as Liquid does
+ */
+function evaluateLiquidCondition(condition, variables) {
+  const logicalMatch = condition.match(/^((?:'[^']*'|"[^"]*"|[^'"])+?)\s+(and|or)\s+([\s\S]+)$/);
+  if (logicalMatch) {
+    const [, first, operator, rest] = logicalMatch;
+    const left = evaluateLiquidComparison(first.trim(), variables);
+    const right = evaluateLiquidCondition(rest.trim(), variables);
+    return operator === 'and' ? left && right : left || right;
+  }
+
+  return evaluateLiquidComparison(condition.trim(), variables);
+}
+
+/**
+ * Evaluates a single Liquid comparison (==, !=, <>, <, >, <=, >=, contains) or a truthiness check
+ */
+function evaluateLiquidComparison(condition, variables) {
+  const comparisonMatch = condition.match(
+    /^((?:'[^']*'|"[^"]*"|[^'"])+?)(?:\s*(==|!=|<>|>=|<=|>|<)\s*|\s+(contains)\s+)([\s\S]+)$/,
+  );
+  if (!comparisonMatch) {
+    return isLiquidTruthy(evaluateLiquidExpression(condition, variables));
+  }
+
+  const [, leftExpr, comparator, containsOperator, rightExpr] = comparisonMatch;
+  const operator = comparator || containsOperator;
+  const left = evaluateLiquidExpression(leftExpr.trim(), variables);
+
+  if (operator === '==' || operator === '!=' || operator === '<>') {
+    // blank and empty are only meaningful as comparison operands
+    const right = rightExpr.trim();
+    let equal;
+    if (right === 'blank' || right === 'empty') {
+      equal = isLiquidEmpty(left, right === 'blank');
+    } else if (leftExpr.trim() === 'blank' || leftExpr.trim() === 'empty') {
+      equal = isLiquidEmpty(evaluateLiquidExpression(right, variables), leftExpr.trim() === 'blank');
+    } else {
+      equal = liquidValuesEqual(left, evaluateLiquidExpression(right, variables));
+    }
+    return operator === '==' ? equal : !equal;
+  }
+
+  const right = evaluateLiquidExpression(rightExpr.trim(), variables);
+
+  if (operator === 'contains') {
+    if (typeof left === 'string') return right !== null && right !== undefined && left.includes(toLiquidString(right));
+    if (Array.isArray(left)) return left.some((item) => liquidValuesEqual(item, right));
+    if (left && typeof left === 'object') return Object.prototype.hasOwnProperty.call(left, right);
+    return false;
+  }
+
+  // Ordering is only defined between two numbers or two strings
+  const bothNumbers = typeof left === 'number' && typeof right === 'number';
+  const bothStrings = typeof left === 'string' && typeof right === 'string';
+  if (!bothNumbers && !bothStrings) {
+    return false;
+  }
+  switch (operator) {
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+  }
+  return false;
+}
+
+/**
+ * Liquid truthiness: only false and nil are falsy (0, '' and empty arrays are truthy)
+ */
+function isLiquidTruthy(value) {
+  return value !== false && value !== null && value !== undefined;
+}
+
+/**
+ * Checks a value against `empty` (empty string, array or hash) or `blank` (also nil, false and whitespace)
+ */
+function isLiquidEmpty(value, blank) {
+  if (value === null || value === undefined || value === false) return blank;
+  if (typeof value === 'string') return blank ? value.trim() === '' : value === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Liquid equality: strict, except that nil equals nil and arrays compare element-wise
+ */
+function liquidValuesEqual(left, right) {
+  if ((left === null || left === undefined) && (right === null || right === undefined)) return true;
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, i) => liquidValuesEqual(item, right[i]));
+  }
+  return left === right;
+}
+
+/**
+ * Resolves a font_picker handle (e.g. "inter_n4": family slug, style n/i/o, weight / 100) with the font catalog.
+ * Returns the Liquid font object or null for unknown families
+ */
+function getShopifyFont(handle) {
+  const handleMatch = typeof handle === 'string' && handle.match(/^([\w-]+?)_([nio])([1-9])$/);
+  const font =
+    handleMatch && Object.prototype.hasOwnProperty.call(SHOPIFY_FONTS, handleMatch[1]) && SHOPIFY_FONTS[handleMatch[1]];
+  if (!font) {
+    return null;
+  }
+
+  const [, slug, style, weight] = handleMatch;
+  return {
+    handle,
+    family: font.family,
+    fallback_families: font.fallback_families,
+    weight: parseInt(weight) * 100,
+    style: { n: 'normal', i: 'italic', o: 'oblique' }[style],
+    variants: font.variants.map((variant) => `${slug}_${variant}`),
+    system: !!font.system,
+    slug,
+  };
+}
+
+/**
+ * font_modify: returns the handle of the variant with another weight or style,
+ * or null when the family has no such variant (as Shopify does)
+ */
+function modifyShopifyFont(handle, property, value) {
+  const font = getShopifyFont(handle);
+  if (!font) return handle;
+
+  const variants = font.variants.map(getShopifyFont);
+  const requested = toLiquidString(value).toLowerCase();
+  let target = null;
+
+  if (property === 'style') {
+    const style = ['normal', 'italic', 'oblique'].includes(requested) ? requested : null;
+    target = variants.find((variant) => variant.style === style && variant.weight === font.weight);
+  } else if (property === 'weight') {
+    const sameStyle = variants.filter((variant) => variant.style === font.style).sort((a, b) => a.weight - b.weight);
+    let weight = null;
+    if (requested === 'normal') weight = 400;
+    else if (requested === 'bold') weight = 700;
+    else if (/^[+-]\d+$/.test(requested)) weight = font.weight + parseInt(requested);
+    else if (/^\d+$/.test(requested)) weight = parseInt(requested);
+
+    if (weight !== null) {
+      target = sameStyle.find((variant) => variant.weight === weight);
+    } else if (requested === 'lighter') {
+      target = sameStyle.filter((variant) => variant.weight < font.weight).pop();
+    } else if (requested === 'bolder') {
+      target = sameStyle.find((variant) => variant.weight > font.weight);
+    }
+  }
+
+  return target ? target.handle : null;
+}
+
+/**
+ * font_face: @font-face rule for a font library handle (system fonts need none).
+ * The src URLs follow the fonts.shopifycdn.com layout without the per-file hash
+ */
+function renderShopifyFontFace(handle, options) {
+  const font = getShopifyFont(handle);
+  if (!font) return handle;
+  if (font.system) return '';
+
+  const url = `//fonts.shopifycdn.com/${font.slug}/${font.handle}`;
+  return [
+    '@font-face {',
+    `  font-family: "${font.family}";`,
+    `  font-weight: ${font.weight};`,
+    `  font-style: ${font.style};`,
+    ...(options.font_display ? [`  font-display: ${toLiquidString(options.font_display)};`] : []),
+    `  src: url("${url}.woff2") format("woff2"),`,
+    `       url("${url}.woff") format("woff");`,
+    '}',
+  ].join('\n');
+}
+
+/**
+ * Reads a property of a Liquid value: hash keys, array size/first/last/index, string size,
+ * font properties of font_picker handles (family, fallback_families, weight, style, variants)
+ * and color accessors (red, green, blue, alpha, rgb, rgba, hue, saturation, lightness) of hex colors
+ */
+function getLiquidProperty(object, key) {
+  if (object === null || object === undefined) {
+    return undefined;
+  }
+
+  if (Array.isArray(object)) {
+    if (key === 'size') return object.length;
+    if (key === 'first') return object[0];
+    if (key === 'last') return object[object.length - 1];
+    return /^\d+(\.\d+)?$/.test(String(key)) ? object[parseInt(key)] : undefined;
+  }
+
+  if (typeof object === 'string') {
+    if (key === 'size') return object.length;
+
+    const font = getShopifyFont(object);
+    if (font) return font[key];
+
+    const rgba = /^#[\da-f]{3,8}$/i.test(object) ? hexToRgba(object) : null;
+    if (!rgba) return undefined;
+
+    switch (key) {
+      case 'red':
+        return rgba.r;
+      case 'green':
+        return rgba.g;
+      case 'blue':
+        return rgba.b;
+      case 'alpha':
+        return rgba.a;
+      case 'rgb':
+        return `${rgba.r} ${rgba.g} ${rgba.b}`;
+      case 'rgba':
+        return `${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a}`;
+      case 'hue':
+      case 'saturation':
+      case 'lightness': {
+        const hsl = rgbToHsl(rgba.r, rgba.g, rgba.b);
+        return key === 'hue' ? hsl.h : key === 'saturation' ? hsl.s : hsl.l;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  if (typeof object === 'object') {
+    if (Object.prototype.hasOwnProperty.call(object, key)) return object[key];
+    if (key === 'size') return Object.keys(object).length;
+  }
+
+  return undefined;
+}
+
+/**
+ * Looks up a variable path like scheme.settings.background.rgb or settings[key].size.
+ * settings.* reads theme settings (settings_data.json, then schema defaults). Returns undefined (nil) if not found
+ */
+function lookupLiquidVariable(expression, variables) {
+  const rootMatch = expression.match(/^[\w-]+/);
+  if (!rootMatch) {
+    return undefined;
+  }
+
+  const root = rootMatch[0];
+  const keys = [];
+  const segmentRegex = /\.([\w-]+)|\[\s*((?:'[^']*'|"[^"]*"|[^\]])+?)\s*\]/y;
+  segmentRegex.lastIndex = root.length;
+  let segmentMatch;
+  while (segmentRegex.lastIndex < expression.length && (segmentMatch = segmentRegex.exec(expression)) !== null) {
+    keys.push(segmentMatch[1] !== undefined ? segmentMatch[1] : evaluateLiquidValue(segmentMatch[2], variables));
+  }
+  if (segmentMatch === null || (keys.length === 0 && expression !== root)) {
+    return undefined; // Not a plain variable path
+  }
+
+  let value;
+  if (root in variables) {
+    value = variables[root];
+  } else if (root === 'settings') {
+    if (keys.length === 0) return shopifySettings || {};
+    value = getSettingValue(String(keys.shift()));
+  } else {
+    return undefined;
+  }
+
+  for (const key of keys) {
+    value = getLiquidProperty(value, key);
+  }
+  return value;
+}
+
+/**
+ * Evaluates a Liquid value without filters: string/number literals, ranges (1..5), true/false/nil and variable paths
+ */
+function evaluateLiquidValue(expression, variables) {
+  const expr = String(expression).trim();
+
+  if (/^'[^']*'$|^"[^"]*"$/.test(expr)) {
+    return expr.slice(1, -1);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(expr)) {
+    return parseFloat(expr);
+  }
+
+  const rangeMatch = expr.match(/^\(\s*(.+?)\s*\.\.\s*(.+?)\s*\)$/);
+  if (rangeMatch) {
+    const from = parseInt(evaluateLiquidValue(rangeMatch[1], variables));
+    const to = parseInt(evaluateLiquidValue(rangeMatch[2], variables));
+    const range = [];
+    for (let i = from; i <= to; i++) {
+      range.push(i);
+    }
+    return range;
+  }
+
+  switch (expr) {
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    case 'nil':
+    case 'null':
+      return null;
+  }
+
+  return lookupLiquidVariable(expr, variables);
+}
+
+/**
+ * Evaluates Liquid expression with filters
+ */
+function evaluateLiquidExpression(expr, variables) {
+  // Split by pipe, but not inside quotes
+  const [input = '', ...filters] = splitLiquidArguments(expr, /\|/y);
+
+  let value = evaluateLiquidValue(input, variables);
+  for (const filter of filters) {
+    value = applyLiquidFilter(value, filter, variables);
+  }
+
+  return value;
+}
+
+/**
+ * Parses filter arguments (`filter: a, 'b', key: c`) into positional values and named options
+ */
+function parseLiquidFilterArguments(markup, variables) {
+  const args = [];
+  const options = {};
+  for (const argument of splitLiquidArguments(markup || '', /,/y)) {
+    const namedMatch = argument.match(/^([\w-]+)\s*:\s*([\s\S]+)$/);
+    if (namedMatch) {
+      options[namedMatch[1]] = evaluateLiquidValue(namedMatch[2], variables);
+    } else {
+      args.push(evaluateLiquidValue(argument, variables));
+    }
+  }
+  return { args, options };
+}
+
+/**
+ * Converts a Liquid value to a number the way math filters do (non-numeric values are 0)
+ */
+function toLiquidNumber(value) {
+  if (typeof value === 'number') return value;
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+}
+
+/**
+ * Checks whether a math operand is a float (`4.0` literals and "2.5" strings count); source is the raw argument
+ */
+function isLiquidFloat(value, source = '') {
+  if (typeof value === 'string') return /^\s*-?\d*\.\d+\s*$/.test(value);
+  return typeof value === 'number' && (!Number.isInteger(value) || /^-?\d+\.\d+$/.test(source));
+}
+
+/**
+ * Rounds filter results to avoid floating point noise (0.1 * 3 = 0.30000000000000004)
+ */
+function roundLiquidNumber(value) {
+  return Math.round(value * 100000) / 100000;
+}
+
+/**
+ * Applies Liquid filter to value
+ */
+function applyLiquidFilter(value, filter, variables) {
+  const filterMatch = filter.match(/^(\w+)\s*(?::\s*([\s\S]*))?$/);
+  if (!filterMatch) return value;
+
+  const [, filterName, filterArg] = filterMatch;
+  const { args, options } = parseLiquidFilterArguments(filterArg, variables);
+  const [arg, secondArg] = args;
+  const string = () => toLiquidString(value);
+  const array = () => (Array.isArray(value) ? value : value === null || value === undefined ? [] : [value]);
+
+  switch (filterName) {
+    // Strings
+    case 'split':
+      return string().split(arg === undefined ? ' ' : toLiquidString(arg));
+
+    case 'replace':
+      return string().split(toLiquidString(arg)).join(toLiquidString(secondArg));
+
+    case 'replace_first':
+      return string().replace(toLiquidString(arg), () => toLiquidString(secondArg));
+
+    case 'remove':
+      return string().split(toLiquidString(arg)).join('');
+
+    case 'remove_first':
+      return string().replace(toLiquidString(arg), '');
+
+    case 'append':
+      return string() + toLiquidString(arg);
+
+    case 'prepend':
+      return toLiquidString(arg) + string();
+
+    case 'upcase':
+      return string().toUpperCase();
+
+    case 'downcase':
+      return string().toLowerCase();
+
+    case 'capitalize': {
+      const text = string();
+      return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    }
+
+    case 'strip':
+      return string().trim();
+
+    case 'lstrip':
+      return string().trimStart();
+
+    case 'rstrip':
+      return string().trimEnd();
+
+    case 'strip_newlines':
+      return string().replace(/\r?\n/g, '');
+
+    case 'truncate': {
+      const text = string();
+      const length = arg === undefined ? 50 : toLiquidNumber(arg);
+      const ellipsis = secondArg === undefined ? '...' : toLiquidString(secondArg);
+      if (text.length <= length) return text;
+      return text.slice(0, Math.max(0, length - ellipsis.length)) + ellipsis;
+    }
+
+    case 'slice': {
+      const start = toLiquidNumber(arg);
+      const length = secondArg === undefined ? 1 : toLiquidNumber(secondArg);
+      const from = start < 0 ? Math.max(0, (Array.isArray(value) ? value.length : string().length) + start) : start;
+      return Array.isArray(value) ? value.slice(from, from + length) : string().slice(from, from + length);
+    }
+
+    // Numbers
+    case 'times':
+      return roundLiquidNumber(toLiquidNumber(value) * toLiquidNumber(arg === undefined ? 1 : arg));
+
+    case 'divided_by': {
+      const divisor = toLiquidNumber(arg === undefined ? 1 : arg);
+      if (divisor === 0) return 0;
+      const quotient = toLiquidNumber(value) / divisor;
+      // Integer operands floor the result (10 | divided_by: 4 = 2), as in Liquid
+      const [argSource] = splitLiquidArguments(filterArg || '', /,/y);
+      return isLiquidFloat(value) || isLiquidFloat(arg, argSource) ? roundLiquidNumber(quotient) : Math.floor(quotient);
+    }
+
+    case 'minus':
+      return roundLiquidNumber(toLiquidNumber(value) - toLiquidNumber(arg));
+
+    case 'plus':
+      return roundLiquidNumber(toLiquidNumber(value) + toLiquidNumber(arg));
+
+    case 'modulo': {
+      const divisor = toLiquidNumber(arg);
+      if (divisor === 0) return 0;
+      // Liquid's modulo takes the sign of the divisor
+      return roundLiquidNumber(((toLiquidNumber(value) % divisor) + divisor) % divisor);
+    }
+
+    case 'abs':
+      return Math.abs(toLiquidNumber(value));
+
+    case 'round': {
+      const factor = Math.pow(10, toLiquidNumber(arg));
+      return Math.round(toLiquidNumber(value) * factor) / factor;
+    }
+
+    case 'floor':
+      return Math.floor(toLiquidNumber(value));
+
+    case 'ceil':
+      return Math.ceil(toLiquidNumber(value));
+
+    case 'at_least':
+      return Math.max(toLiquidNumber(value), toLiquidNumber(arg));
+
+    case 'at_most':
+      return Math.min(toLiquidNumber(value), toLiquidNumber(arg));
+
+    // Arrays
+    case 'size':
+      if (Array.isArray(value) || typeof value === 'string') return value.length;
+      return value && typeof value === 'object' ? Object.keys(value).length : 0;
+
+    case 'first':
+    case 'last':
+      return Array.isArray(value) ? getLiquidProperty(value, filterName) : undefined;
+
+    case 'join':
+      return array().map(toLiquidString).join(arg === undefined ? ' ' : toLiquidString(arg));
+
+    case 'reverse':
+      return array().slice().reverse();
+
+    case 'sort':
+      return array()
+        .slice()
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    case 'sort_natural':
+      return array()
+        .slice()
+        .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+
+    case 'uniq':
+      return [...new Set(array())];
+
+    case 'compact':
+      return array().filter((item) => item !== null && item !== undefined);
+
+    case 'concat':
+      return array().concat(Array.isArray(arg) ? arg : []);
+
+    case 'map':
+      return array().map((item) => getLiquidProperty(item, arg));
+
+    case 'where':
+      return array().filter((item) =>
+        secondArg === undefined
+          ? isLiquidTruthy(getLiquidProperty(item, arg))
+          : liquidValuesEqual(getLiquidProperty(item, arg), secondArg),
+      );
+
+    case 'find_index': {
+      if (!Array.isArray(value)) return -1;
+      const searchStr = toLiquidString(arg);
+
+      // Try exact string match first
+      let result = value.indexOf(searchStr);
+
+      // If not found, try numeric comparison (handles "48" vs "048")
+      if (result === -1) {
+        const searchNum = parseFloat(searchStr);
+        if (!isNaN(searchNum)) {
+          result = value.findIndex((v) => parseFloat(v) === searchNum);
+        }
+      }
+
+      return result;
+    }
+
+    // default replaces nil, false and empty values (false is kept with allow_false: true)
+    case 'default':
+      if (value === false && options.allow_false === true) return value;
+      return isLiquidTruthy(value) && !isLiquidEmpty(value, false) ? value : arg;
+
+    case 'color_to_rgb':
+    case 'color_to_hsl':
+    case 'color_to_hex':
+    case 'color_modify':
+    case 'color_lighten':
+    case 'color_darken':
+    case 'color_saturate':
+    case 'color_desaturate':
+    case 'color_mix':
+    case 'color_brightness':
+    case 'color_contrast':
+    case 'color_difference':
+      return applyLiquidColorFilter(value, filterName, args);
+
+    // Fonts (font_picker handles)
+    case 'font_modify':
+      return modifyShopifyFont(value, toLiquidString(arg).toLowerCase(), secondArg);
+
+    case 'font_face':
+      return renderShopifyFontFace(value, options);
+
+    case 'font_url': {
+      const font = getShopifyFont(value);
+      if (!font || font.system) return value;
+      return `//fonts.shopifycdn.com/${font.slug}/${font.handle}.${arg === 'woff' ? 'woff' : 'woff2'}`;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Formats a color filter result like Shopify: hsl input stays hsl, hex stays hex unless it became
+ * translucent, everything else is rgb()/rgba()
+ */
+function formatLiquidColor(color, format) {
+  if (format === 'hsl') return formatColorValue(color, 'hsl');
+  return format === 'hex' && color.a >= 1 ? formatColorValue(color, 'hex') : formatColorValue(color, 'rgb');
+}
+
+/**
+ * Applies Shopify color filters. Values that are not colors are returned unchanged
+ */
+function applyLiquidColorFilter(value, filterName, args) {
+  const color = parseColorValue(toLiquidString(value));
+  if (!color) return value;
+
+  const [arg, secondArg] = args;
+  const clamp = (number, max) => Math.max(0, Math.min(max, number));
+
+  // Adjusts one HSL component by a number of percentage points (lighten, darken, saturate, desaturate);
+  // HSL stays fractional so only the resulting RGB channels are rounded
+  const adjustHsl = (key, amount) => {
+    const hsl = rgbToHsl(color.r, color.g, color.b, false);
+    hsl[key] = clamp(hsl[key] + toLiquidNumber(amount), 100);
+    return formatLiquidColor({ ...hslToRgb(hsl.h, hsl.s, hsl.l), a: color.a }, color.format);
+  };
+
+  switch (filterName) {
+    case 'color_to_rgb':
+      return formatColorValue(color, 'rgb');
+
+    case 'color_to_hsl':
+      return formatColorValue(color, 'hsl');
+
+    case 'color_to_hex':
+      return formatColorValue({ ...color, a: 1 }, 'hex');
+
+    case 'color_modify': {
+      const amount = toLiquidNumber(secondArg);
+      const modified = { r: color.r, g: color.g, b: color.b, a: color.a };
+      switch (toLiquidString(arg).toLowerCase()) {
+        case 'red':
+          modified.r = clamp(amount, 255);
+          break;
+        case 'green':
+          modified.g = clamp(amount, 255);
+          break;
+        case 'blue':
+          modified.b = clamp(amount, 255);
+          break;
+        case 'alpha':
+          modified.a = clamp(amount, 1);
+          break;
+        case 'hue':
+        case 'saturation':
+        case 'lightness': {
+          const hsl = rgbToHsl(color.r, color.g, color.b, false);
+          const key = toLiquidString(arg).toLowerCase().charAt(0);
+          hsl[key] = key === 'h' ? clamp(amount, 360) : clamp(amount, 100);
+          Object.assign(modified, hslToRgb(hsl.h, hsl.s, hsl.l));
+          break;
+        }
+        default:
+          return value;
+      }
+      return formatLiquidColor(modified, color.format);
+    }
+
+    case 'color_lighten':
+      return adjustHsl('l', arg);
+
+    case 'color_darken':
+      return adjustHsl('l', -toLiquidNumber(arg));
+
+    case 'color_saturate':
+      return adjustHsl('s', arg);
+
+    case 'color_desaturate':
+      return adjustHsl('s', -toLiquidNumber(arg));
+
+    case 'color_mix': {
+      // Sass mix(): weight is the percentage of the input color, alpha differences shift the weight
+      const other = parseColorValue(toLiquidString(arg));
+      if (!other) return value;
+      const weight = clamp(secondArg === undefined ? 50 : toLiquidNumber(secondArg), 100) / 100;
+      const w = weight * 2 - 1;
+      const alphaDelta = color.a - other.a;
+      const w1 = ((w * alphaDelta === -1 ? w : (w + alphaDelta) / (1 + w * alphaDelta)) + 1) / 2;
+      const w2 = 1 - w1;
+      const mixed = {
+        r: color.r * w1 + other.r * w2,
+        g: color.g * w1 + other.g * w2,
+        b: color.b * w1 + other.b * w2,
+        a: color.a * weight + other.a * (1 - weight),
+      };
+      return formatLiquidColor(mixed, color.format);
+    }
+
+    case 'color_brightness':
+      // W3C perceived brightness, 0-255 (two decimals, like Shopify)
+      return Math.round(((color.r * 299 + color.g * 587 + color.b * 114) / 1000) * 100) / 100;
+
+    case 'color_contrast': {
+      const other = parseColorValue(toLiquidString(arg));
+      if (!other) return value;
+      const [light, dark] = [getRelativeLuminance(color), getRelativeLuminance(other)].sort((x, y) => y - x);
+      return Math.round(((light + 0.05) / (dark + 0.05)) * 10) / 10;
+    }
+
+    case 'color_difference': {
+      // W3C color difference: sum of per-channel differences, 0-765
+      const other = parseColorValue(toLiquidString(arg));
+      if (!other) return value;
+      return Math.round(Math.abs(color.r - other.r) + Math.abs(color.g - other.g) + Math.abs(color.b - other.b));
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Renders Liquid to CSS: tokenizes, parses and evaluates the template with theme settings.
+ * variables is the scope shared by all tags (assigns, loop variables); filePath locates rendered snippets.
+ * Returns the mapped output (see createLiquidOutput): offsets[i]/files[i] are the source of text[i]
+ */
+function liquidToCSS(source, baseOffset = 0, variables = {}, filePath = null) {
+  const output = createLiquidOutput(filePath);
+  renderLiquidNodes(parseLiquidTokens(tokenizeLiquid(source, baseOffset)), variables, output);
+  return output;
+}
+
+/**
+ * Returns [start, end] ranges of CSS in rendered Liquid output:
+ * {% style %}/{% stylesheet %} blocks and <style> tags, in output order
+ */
+function getRenderedCssBlocks(rendered) {
+  const blocks = rendered.styleRanges.slice();
+  const htmlStyleRegex = /<style[^>]*>([\s\S]*?)<\/style>/dgi;
+  let match;
+  while ((match = htmlStyleRegex.exec(rendered.text)) !== null) {
+    blocks.push(match.indices[1]);
+  }
+  return blocks.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Gets setting value from settings_data or settings_schema
+ */
+function getSettingValue(settingKey) {
+  // Check cache first
+  if (settingValueCache.has(settingKey)) {
+    return settingValueCache.get(settingKey);
+  }
+
+  let settingValue = shopifySettings?.[settingKey];
+
+  // Handle nested properties (e.g., settings.section.property)
+  if (settingKey.includes('.')) {
+    const keys = settingKey.split('.');
+    settingValue = shopifySettings;
+    for (const key of keys) {
+      if (settingValue && typeof settingValue === 'object') {
+        settingValue = settingValue[key];
+      } else {
+        settingValue = undefined;
+        break;
+      }
+    }
+  }
+
+  // If not found in settings_data, check settings_schema for default value
+  if (settingValue === undefined && shopifySettingsSchema) {
+    settingValue = shopifySettingsSchema[settingKey];
+  }
+
+  // Cache result
+  settingValueCache.set(settingKey, settingValue);
+  return settingValue;
+}
+
+module.exports = {
+  liquidFileCache,
+  sectionSchemaCache,
+  settingValueCache,
+  setThemeSettings,
+  getSettingValue,
+  getLiquidFileText,
+  getPartialPath,
+  getSectionSchema,
+  createLiquidSection,
+  getShopifyFont,
+  evaluateLiquidExpression,
+  liquidToCSS,
+  getRenderedCssBlocks,
+  getSourcePosition,
+};
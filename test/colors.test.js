@@ -0,0 +1,72 @@
+const { hslToRgb, rgbToHsl, parseColorValue, formatColorValue } = require('../src/colors');
+
+describe('parseColorValue', () => {
+  test('parses hex colors with optional alpha', () => {
+    expect(parseColorValue('#123456')).toEqual({ r: 18, g: 52, b: 86, a: 1, format: 'hex' });
+    expect(parseColorValue('#0f08')).toMatchObject({ r: 0, g: 255, b: 0, format: 'hex' });
+    expect(parseColorValue('#0f08').a).toBeCloseTo(0.53);
+  });
+
+  test('parses legacy and space separated rgb() and hsl()', () => {
+    expect(parseColorValue('rgba(255, 0, 0, 0.5)')).toEqual({ r: 255, g: 0, b: 0, a: 0.5, format: 'rgb' });
+    expect(parseColorValue('rgb(100% 0% 0% / 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 0.5, format: 'rgb' });
+    expect(parseColorValue('hsl(120deg 100% 25%)')).toEqual({ r: 0, g: 128, b: 0, a: 1, format: 'hsl' });
+  });
+
+  test('parses bare rgb triplets used by color scheme settings', () => {
+    expect(parseColorValue('18, 52, 86, 0.5')).toEqual({ r: 18, g: 52, b: 86, a: 0.5, format: 'triplet-comma' });
+    expect(parseColorValue('18 52 86')).toEqual({ r: 18, g: 52, b: 86, a: 1, format: 'triplet-space' });
+  });
+
+  test('rejects out of range channels and unsupported values', () => {
+    expect(parseColorValue('300, 0, 0')).toBeNull();
+    expect(parseColorValue('red')).toBeNull();
+    expect(parseColorValue('')).toBeNull();
+  });
+});
+
+describe('formatColorValue', () => {
+  const color = { r: 18, g: 52, b: 86, a: 0.5 };
+  const opaque = { ...color, a: 1 };
+
+  test('formats each parsed format with and without alpha', () => {
+    expect([formatColorValue(color, 'hex'), formatColorValue(opaque, 'hex')]).toEqual(['#12345680', '#123456']);
+    expect([formatColorValue(color, 'rgb'), formatColorValue(opaque, 'rgb')]).toEqual([
+      'rgba(18, 52, 86, 0.5)',
+      'rgb(18, 52, 86)',
+    ]);
+    expect([formatColorValue(color, 'hsl'), formatColorValue(opaque, 'hsl')]).toEqual([
+      'hsla(210, 65%, 20%, 0.5)',
+      'hsl(210, 65%, 20%)',
+    ]);
+    expect(formatColorValue(color, 'triplet-comma')).toBe('18, 52, 86, 0.5');
+    expect(formatColorValue(color, 'triplet-space')).toBe('18 52 86');
+  });
+
+  test('round-trips parsed values', () => {
+    for (const value of ['#12345680', 'rgb(18, 52, 86)', '18, 52, 86, 0.5', '18 52 86']) {
+      const parsed = parseColorValue(value);
+      expect(formatColorValue(parsed, parsed.format)).toBe(value);
+    }
+  });
+});
+
+describe('hsl conversion', () => {
+  test('converts between hsl and rgb', () => {
+    expect(hslToRgb(210, 65, 20)).toEqual({ r: 18, g: 51, b: 84 });
+    expect(rgbToHsl(18, 52, 86)).toEqual({ h: 210, s: 65, l: 20 });
+  });
+
+  test('keeps fractional components when rounding is disabled', () => {
+    const { h, s, l } = rgbToHsl(18, 52, 86, false);
+    expect(h).toBe(210);
+    expect(s).toBeCloseTo(65.38);
+    expect(l).toBeCloseTo(20.39);
+  });
+
+  test('wraps negative hues and handles grays', () => {
+    expect(hslToRgb(-150, 0, 50)).toEqual({ r: 128, g: 128, b: 128 });
+    expect(hslToRgb(-150, 65, 20)).toEqual(hslToRgb(210, 65, 20));
+    expect(rgbToHsl(255, 255, 255)).toEqual({ h: 0, s: 0, l: 100 });
+  });
+});
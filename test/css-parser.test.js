@@ -0,0 +1,86 @@
+const { getLineStarts, offsetToLineCharacter, parseCssTree, normalizeCssValue } = require('../src/css-parser');
+
+const declarations = (nodes) =>
+  nodes.flatMap((node) =>
+    node.type === 'declaration' ? [[node.property, node.value]] : declarations(node.children || []),
+  );
+
+describe('parseCssTree', () => {
+  test('parses rules, at-rules and declarations with their offsets', () => {
+    const text = ':root { --x: 1px; }\n@media (min-width: 768px) { .a { color: red } }';
+    const [root, media] = parseCssTree(text);
+
+    expect(root).toMatchObject({ type: 'rule', selector: ':root', start: 0 });
+    expect(root.children).toEqual([{ type: 'declaration', property: '--x', value: '1px', important: false, start: 8 }]);
+    expect(media).toMatchObject({ type: 'atrule', name: 'media', prelude: '(min-width: 768px)', start: 20 });
+    expect(media.children[0]).toMatchObject({ type: 'rule', selector: '.a' });
+  });
+
+  test('ignores ; and } inside strings', () => {
+    const nodes = parseCssTree('.a { content: "a;b}"; --quote: \'}\'; color: red }');
+    expect(declarations(nodes)).toEqual([
+      ['content', '"a;b}"'],
+      ['--quote', "'}'"],
+      ['color', 'red'],
+    ]);
+  });
+
+  test('ignores ; and } inside comments', () => {
+    const nodes = parseCssTree('/* } ; */ :root { --x: 1px /* ; } */; --y: 2px }');
+    expect(nodes).toHaveLength(1);
+    expect(declarations(nodes)).toEqual([
+      ['--x', '1px'],
+      ['--y', '2px'],
+    ]);
+  });
+
+  test('ends an unterminated string at the line break', () => {
+    const nodes = parseCssTree('.a { content: "oops;\n}\n.b { --x: 1px }');
+    expect(nodes.map((node) => node.selector)).toEqual(['.a', '.b']);
+    expect(declarations(nodes)).toContainEqual(['--x', '1px']);
+  });
+
+  test('keeps {} blocks and nested parentheses in custom property values', () => {
+    const nodes = parseCssTree(':root { --mixin: { color: red; }; --w: calc((1px + 2px) * 2); }');
+    expect(declarations(nodes)).toEqual([
+      ['--mixin', '{ color: red; }'],
+      ['--w', 'calc((1px + 2px) * 2)'],
+    ]);
+  });
+
+  test('moves a trailing !important into the important flag', () => {
+    const [rule] = parseCssTree(':root { --x: red !important; color: var(--x) ! IMPORTANT; --y: "!important" }');
+    expect(rule.children.map(({ property, value, important }) => [property, value, important])).toEqual([
+      ['--x', 'red', true],
+      ['color', 'var(--x)', true],
+      ['--y', '"!important"', false],
+    ]);
+  });
+
+  test('recovers from stray closing braces', () => {
+    const nodes = parseCssTree('} .a { --x: 1 } }\n.b { --y: 2 }');
+    expect(declarations(nodes)).toEqual([
+      ['--x', '1'],
+      ['--y', '2'],
+    ]);
+  });
+});
+
+describe('normalizeCssValue', () => {
+  test('removes comments and joins values spanning lines', () => {
+    expect(normalizeCssValue('  1px\n    solid\n    red /* accent */  ')).toBe('1px solid red');
+  });
+
+  test('keeps strings verbatim', () => {
+    expect(normalizeCssValue('"a  /* b */\\"  c"')).toBe('"a  /* b */\\"  c"');
+  });
+});
+
+describe('offset helpers', () => {
+  test('convert offsets to line and character', () => {
+    const lineStarts = getLineStarts('ab\ncd\n\nef');
+    expect(lineStarts).toEqual([0, 3, 6, 7]);
+    expect(offsetToLineCharacter(lineStarts, 4)).toEqual({ line: 1, character: 1 });
+    expect(offsetToLineCharacter(lineStarts, 7)).toEqual({ line: 3, character: 0 });
+  });
+});
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const THEME_LAYOUT = `{% style %}
+  :root {
+    --spacing-sm: 8px;
+    --spacing-lg: 32px;
+    --accent: #ff0000;
+    --button-bg: var(--accent);
+  }
+  @media (max-width: 749px) {
+    :root {
+      --spacing-lg: 3rem;
+    }
+  }
+{% endstyle %}
+`;
+
+let vscode;
+let extension;
+let themeRoot;
+
+const writeThemeFiles = (files) => {
+  for (const [relativePath, text] of Object.entries(files)) {
+    const filePath = path.join(themeRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof text === 'string' ? text : JSON.stringify(text));
+  }
+};
+
+const refresh = () => vscode.commands.executeCommand('liquid-css-variables.refresh');
+
+// Activates the extension on a theme made of files and waits for the scan
+const activateTheme = async (files) => {
+  writeThemeFiles(files);
+  const state = new Map();
+  const workspaceState = { get: (key, defaultValue) => (state.has(key) ? state.get(key) : defaultValue) };
+  workspaceState.update = async (key, value) => state.set(key, value);
+  extension.activate({ subscriptions: [], workspaceState });
+  await refresh();
+  return workspaceState;
+};
+
+const openDocument = (relativePath, text, languageId) => {
+  const filePath = path.join(themeRoot, relativePath);
+  const documentText = text === undefined ? fs.readFileSync(filePath, 'utf8') : text;
+  return vscode.__createTextDocument(documentText, filePath, languageId);
+};
+
+const positionOf = (document, search) => document.positionAt(document.getText().indexOf(search));
+
+const provider = (kind) => vscode.__registry.providers[kind][0];
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  vscode = require('vscode');
+  extension = require('../src/extension');
+  themeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'liquid-css-variables-'));
+  vscode.workspace.workspaceFolders = [{ uri: vscode.Uri.file(themeRoot), name: 'theme', index: 0 }];
+});
+
+afterEach(() => {
+  extension.deactivate();
+  fs.rmSync(themeRoot, { recursive: true, force: true });
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('scanning', () => {
+  const scanCount = () => console.log.mock.calls.filter(([message]) => /Found \d+ CSS variables/.test(message)).length;
+
+  test('overlapping scans do not duplicate media variants', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+    await Promise.all([refresh(), refresh(), refresh()]);
+
+    const document = openDocument('layout/theme.liquid');
+    const hover = provider('hover').provideHover(document, positionOf(document, '--spacing-lg'));
+    expect(hover.contents[0].value.match(/@media \(max-width: 749px\)/g)).toHaveLength(1);
+  });
+
+  test('debounces file watcher events into one rescan shared with a refresh', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+    const scansBefore = scanCount();
+    const [liquidWatcher] = vscode.__registry.watchers;
+
+    jest.useFakeTimers();
+    for (const listener of [...liquidWatcher.change, ...liquidWatcher.change, ...liquidWatcher.create]) {
+      listener();
+    }
+    jest.runAllTimers();
+    jest.useRealTimers();
+    await refresh();
+
+    // The refresh joins the rescan that is queued but not started yet
+    expect(scanCount() - scansBefore).toBe(1);
+  });
+});
+
+describe('colors', () => {
+  test('shows one swatch for a declaration whose value is a var() usage', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+    const document = openDocument('layout/theme.liquid');
+
+    const colors = provider('color').provideDocumentColors(document);
+    expect(colors.map(({ range }) => document.getText(range))).toEqual(['var(--accent)', '#ff0000']);
+    expect(colors[0].color).toEqual({ red: 1, green: 0, blue: 0, alpha: 1 });
+  });
+});
+
+describe('hard-coded values', () => {
+  test('offers only variables that have the same value in every @media variant', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+    const text = '.card { margin: 0.5rem; padding: 32px; }';
+    const document = openDocument('assets/card.css', text);
+
+    const range = new vscode.Range(document.positionAt(0), document.positionAt(text.length));
+    const actions = await provider('codeAction').provideCodeActions(document, range, { diagnostics: [] });
+    expect(actions.map((action) => action.title)).toEqual([
+      'Replace 0.5rem with var(--spacing-sm)',
+      'Replace all hard-coded values with variables in file (1)',
+    ]);
+  });
+});
+
+describe('diagnostics', () => {
+  const CARD = '{% style %}\n  .card { color: var(--acent); }\n{% endstyle %}\n';
+  const diagnosticsOf = (relativePath) =>
+    (vscode.__registry.diagnostics.get(vscode.Uri.file(path.join(themeRoot, relativePath))) || []).map(
+      (diagnostic) => diagnostic.message,
+    );
+
+  test('warns only in files matched by the include patterns', async () => {
+    await activateTheme({
+      'layout/theme.liquid': THEME_LAYOUT,
+      'sections/card.liquid': CARD,
+      'assets/vendor.css': '.vendor { color: var(--vendor-color); }',
+    });
+
+    expect(diagnosticsOf('sections/card.liquid')).toEqual([
+      'Undefined CSS variable --acent (no fallback value). Did you mean --accent?',
+    ]);
+    expect(diagnosticsOf('assets/vendor.css')).toEqual([]);
+  });
+
+  test('refreshes diagnostics of an edited document once typing pauses', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT, 'sections/card.liquid': CARD });
+    const document = openDocument('sections/card.liquid', CARD.replace('--acent', '--spacing-lq'));
+
+    jest.useFakeTimers();
+    vscode.__registry.textDocumentChanges.fire({ document });
+    vscode.__registry.textDocumentChanges.fire({ document });
+    expect(diagnosticsOf('sections/card.liquid')).toEqual([
+      'Undefined CSS variable --acent (no fallback value). Did you mean --accent?',
+    ]);
+
+    jest.runAllTimers();
+    expect(diagnosticsOf('sections/card.liquid')).toEqual([
+      'Undefined CSS variable --spacing-lq (no fallback value). Did you mean --spacing-lg?',
+    ]);
+  });
+});
+
+describe('scripts', () => {
+  const complete = (text, languageId) => {
+    const document = openDocument('assets/card.js', text, languageId);
+    const items = provider('completion').provideCompletionItems(document, document.positionAt(text.length));
+    return items.map((item) => [item.insertText, document.getText(item.range)]);
+  };
+
+  test('completes names in JSX style objects and setProperty calls that span lines', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+
+    const jsx = "<div\n  style={{\n    color: 'red',\n    '--spacing-";
+    expect(complete(jsx, 'javascriptreact')).toContainEqual(['--spacing-lg', '--spacing-']);
+    const call = "card.style.setProperty(\n  '--";
+    expect(complete(call, 'javascript')).toContainEqual(['--accent', '--']);
+    expect(complete("card.style.color = (\n  '--", 'javascript')).toEqual([]);
+  });
+
+  test('shows hovers inside var() opened on a previous line but not on decrements', async () => {
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT });
+    const text = 'const value = `var(\n  --accent)`;\nlet count = 1;\ncount = --accent;';
+    const document = openDocument('assets/card.js', text, 'javascript');
+
+    const hoverAt = (offset) => provider('hover').provideHover(document, document.positionAt(offset));
+    expect(hoverAt(text.indexOf('--accent') + 2)).toBeTruthy();
+    expect(hoverAt(text.lastIndexOf('--accent') + 2)).toBeNull();
+  });
+});
+
+describe('unused variables', () => {
+  const removalTitles = async (varName) => {
+    const document = openDocument('layout/theme.liquid');
+    const start = positionOf(document, varName);
+    const range = new vscode.Range(start, start);
+    const actions = await provider('codeAction').provideCodeActions(document, range, { diagnostics: [] });
+    return actions.map((action) => action.title).filter((title) => title.startsWith('Remove'));
+  };
+
+  test('counts names read or written by scripts as usages', async () => {
+    await activateTheme({
+      'layout/theme.liquid': THEME_LAYOUT,
+      'assets/card.js': `const gap = getComputedStyle(card).getPropertyValue('--spacing-lg');
+let count = --spacing-sm;`,
+    });
+
+    expect(await removalTitles('--spacing-lg')).toEqual([]);
+    expect(await removalTitles('--spacing-sm')).toEqual(['Remove unused variable --spacing-sm']);
+  });
+});
+
+describe('rename', () => {
+  test('renames usages in unsaved documents at their current positions', async () => {
+    const card = '{% style %}\n  .card { color: var(--accent); }\n{% endstyle %}\n';
+    await activateTheme({ 'layout/theme.liquid': THEME_LAYOUT, 'sections/card.liquid': card });
+    const editedCard = openDocument('sections/card.liquid', `{% # edited %}\n${card}`);
+    editedCard.isDirty = true;
+    vscode.workspace.textDocuments.push(editedCard);
+
+    const document = openDocument('layout/theme.liquid');
+    const edit = provider('rename').provideRenameEdits(document, positionOf(document, '--accent'), '--brand');
+    const cardEdits = edit.edits.filter((entry) => entry.uri.fsPath === editedCard.uri.fsPath);
+    expect(cardEdits.map((entry) => editedCard.getText(entry.range))).toEqual(['--accent']);
+    expect(cardEdits[0].range.start).toEqual({ line: 2, character: 21 });
+  });
+});
+
+describe('theme settings', () => {
+  const SETTINGS_LAYOUT = `{% style %}
+  :root {
+    --radius: {{ settings.radius }}px;
+  }
+  {% for scheme in settings.color_schemes %}
+    {% if forloop.first %}:root,{% endif %}
+    .color-{{ scheme.id }} {
+      --color-background: {{ scheme.settings.background }};
+    }
+  {% endfor %}
+{% endstyle %}
+`;
+  const colorSchemes = {
+    'scheme-1': { settings: { background: '#ffffff' } },
+    'scheme-2': { settings: { background: '#121212' } },
+  };
+  const SETTINGS_DATA = {
+    current: { radius: 4, color_schemes: colorSchemes },
+    presets: { Bold: { radius: 12, color_schemes: colorSchemes } },
+  };
+
+  const hoverText = (varName) => {
+    const text = `.a { b: var(${varName}); }`;
+    const document = openDocument('assets/a.css', text);
+    const hover = provider('hover').provideHover(document, document.positionAt(text.indexOf('--') + 2));
+    return hover.contents[0].value;
+  };
+
+  const completionDetail = (varName) => {
+    const text = '.a { background: var(--';
+    const document = openDocument('assets/a.css', text);
+    const items = provider('completion').provideCompletionItems(document, document.positionAt(text.length));
+    return items.find((item) => item.label === varName).detail;
+  };
+
+  test('shows values of the color scheme selected with the scheme picker', async () => {
+    const workspaceState = await activateTheme({
+      'layout/theme.liquid': SETTINGS_LAYOUT,
+      'config/settings_data.json': SETTINGS_DATA,
+    });
+    expect(completionDetail('--color-background')).toBe('#ffffff');
+
+    vscode.__registry.quickPickAnswers.push('scheme-2');
+    await vscode.commands.executeCommand('liquid-css-variables.selectColorScheme');
+
+    expect(completionDetail('--color-background')).toBe('#121212 (scheme-2)');
+    expect(workspaceState.get('activeColorScheme')).toBe('scheme-2');
+  });
+
+  test('rescans with the values of the preset selected with the preset picker', async () => {
+    await activateTheme({ 'layout/theme.liquid': SETTINGS_LAYOUT, 'config/settings_data.json': SETTINGS_DATA });
+    expect(hoverText('--radius')).toContain('**Value:** `4px`');
+
+    vscode.__registry.quickPickAnswers.push('Bold');
+    await vscode.commands.executeCommand('liquid-css-variables.selectSettingsPreset');
+
+    expect(hoverText('--radius')).toContain('**Value:** `12px`');
+    expect(vscode.__registry.messages).toContain('✓ Found 2 CSS variables with settings preset "Bold"');
+  });
+
+  test('evaluates section variables with the settings of each template instance', async () => {
+    await activateTheme({
+      'sections/hero.liquid': `{% style %}
+  :root { --hero-height: {{ section.settings.height }}px; }
+{% endstyle %}
+{% schema %}
+{ "name": "Hero", "settings": [{ "type": "range", "id": "height", "default": 64 }] }
+{% endschema %}
+`,
+      'templates/index.json': { sections: { banner: { type: 'hero', settings: { height: 80 } } }, order: ['banner'] },
+      'templates/page.json': { sections: { main: { type: 'hero' } } },
+    });
+
+    const text = hoverText('--hero-height');
+    expect(text).toContain('| templates/index.json › banner | `80px` |');
+    expect(text).toContain('| templates/page.json › main | `64px` |');
+  });
+});
+
+describe('fonts', () => {
+  test('notes font_picker values that are not in the font catalog', async () => {
+    await activateTheme({
+      'config/settings_schema.json': [
+        {
+          name: 'Typography',
+          settings: [
+            { type: 'font_picker', id: 'type_body_font', default: 'inter_n4' },
+            { type: 'font_picker', id: 'type_header_font', default: 'inter_n7' },
+          ],
+        },
+      ],
+      'config/settings_data.json': { current: { type_body_font: 'comic_n4', type_header_font: 'lora_n7' } },
+    });
+
+    const settingsPath = path.join(themeRoot, 'config', 'settings_data.json');
+    const diagnostics = vscode.__registry.diagnostics.get(vscode.Uri.file(settingsPath));
+    expect(diagnostics.map((diagnostic) => diagnostic.message)).toEqual([
+      'Font comic_n4 is not in the offline font catalog, so type_body_font.family and font filters are not resolved',
+    ]);
+    expect(openDocument('config/settings_data.json').getText(diagnostics[0].range)).toBe('comic_n4');
+  });
+});
@@ -0,0 +1,253 @@
+const {
+  liquidFileCache,
+  sectionSchemaCache,
+  setThemeSettings,
+  evaluateLiquidExpression,
+  liquidToCSS,
+  getRenderedCssBlocks,
+  getSourcePosition,
+} = require('../src/liquid');
+
+const LAYOUT_PATH = '/theme/layout/theme.liquid';
+const SNIPPET_PATH = '/theme/snippets/gap.liquid';
+
+const render = (source, variables = {}) => liquidToCSS(source, 0, variables, LAYOUT_PATH).text;
+
+beforeEach(() => {
+  liquidFileCache.clear();
+  sectionSchemaCache.clear();
+  setThemeSettings(null, null);
+});
+
+describe('tags', () => {
+  test('runs {% liquid %} blocks line by line', () => {
+    const source = '{% liquid\n  assign size = 4\n  if size > 2\n    echo size | times: 2\n  endif\n%}px';
+    expect(render(source)).toBe('8px');
+  });
+
+  test('trims whitespace around {{- -}} and {%- -%}', () => {
+    expect(render("a {{- 'b' -}} c")).toBe('abc');
+    expect(render('x\n  {%- if true -%}\n  y\n  {%- endif -%}\n  z')).toBe('xyz');
+  });
+
+  test('matches case/when with comma and or alternatives', () => {
+    const source = "{% case x %}{% when 'a', 'b' %}AB{% when 'c' or 'd' %}CD{% else %}other{% endcase %}";
+    expect(render(source, { x: 'b' })).toBe('AB');
+    expect(render(source, { x: 'd' })).toBe('CD');
+    expect(render(source, { x: 'z' })).toBe('other');
+  });
+
+  test('iterates for loops with forloop, offset, limit and reversed', () => {
+    const body = '{{ forloop.index }}:{{ i }}{% unless forloop.last %},{% endunless %}';
+    expect(render(`{% for i in (1..5) offset: 1 limit: 3 %}${body}{% endfor %}`)).toBe('1:2,2:3,3:4');
+    expect(render('{% for i in (1..5) reversed %}{{ i }}{% endfor %}')).toBe('54321');
+  });
+
+  test('handles break, continue and else in for loops', () => {
+    const body = '{% if i == 2 %}{% continue %}{% endif %}{% if i == 4 %}{% break %}{% endif %}{{ i }}';
+    expect(render(`{% for i in (1..5) %}${body}{% endfor %}`)).toBe('13');
+    expect(render('{% for item in items %}x{% else %}empty{% endfor %}', { items: [] })).toBe('empty');
+  });
+
+  test('skips comment and outputs raw blocks verbatim', () => {
+    expect(render('{% comment %}{{ x }}{% endcomment %}{% raw %}{{ y }}{% endraw %}')).toBe('{{ y }}');
+  });
+});
+
+describe('conditions', () => {
+  const check = (condition, variables) => render(`{% if ${condition} %}y{% else %}n{% endif %}`, variables) === 'y';
+
+  test('evaluates and/or from right to left without precedence', () => {
+    expect(check('true or false and false')).toBe(true);
+    expect(check('false and false or true')).toBe(false);
+    expect(check('true and true and false')).toBe(false);
+  });
+
+  test('supports every comparison operator', () => {
+    expect(check('1 == 1')).toBe(true);
+    expect(check("'a' == 'b'")).toBe(false);
+    expect(check('1 != 2')).toBe(true);
+    expect(check('1 <> 1')).toBe(false);
+    expect(check('2 > 1')).toBe(true);
+    expect(check('1 < 2')).toBe(true);
+    expect(check('2 >= 3')).toBe(false);
+    expect(check('2 <= 2')).toBe(true);
+  });
+
+  test('checks substrings and array items with contains', () => {
+    const variables = { text: 'hello', items: ['a', 'b'] };
+    expect(check("text contains 'ell'", variables)).toBe(true);
+    expect(check("text contains 'z'", variables)).toBe(false);
+    expect(check("items contains 'b'", variables)).toBe(true);
+    expect(check("missing contains 'b'", variables)).toBe(false);
+  });
+
+  test('compares against blank and empty', () => {
+    const variables = { text: 'x', spaces: '  ', list: [], object: {}, nothing: null };
+    expect(check('spaces == blank', variables)).toBe(true);
+    expect(check('nothing == blank', variables)).toBe(true);
+    expect(check('text == blank', variables)).toBe(false);
+    expect(check('list == empty', variables)).toBe(true);
+    expect(check('object == empty', variables)).toBe(true);
+    expect(check('text != empty', variables)).toBe(true);
+  });
+
+  test('treats only nil and false as falsy and never orders nil', () => {
+    const variables = { zero: 0, text: '', nothing: null };
+    expect(check('zero', variables)).toBe(true);
+    expect(check('text', variables)).toBe(true);
+    expect(check('nothing', variables)).toBe(false);
+    expect(check('missing == nil', variables)).toBe(true);
+    expect(check('nothing == 0', variables)).toBe(false);
+    expect(check('nothing > 1', variables)).toBe(false);
+    expect(check('nothing < 1', variables)).toBe(false);
+  });
+
+  test('matches case/when alternatives against numbers', () => {
+    const source = '{% case size %}{% when 1 or 2 %}small{% when 3, 4 %}large{% endcase %}';
+    expect(render(source, { size: 2 })).toBe('small');
+    expect(render(source, { size: 4 })).toBe('large');
+    expect(render(source, { size: 5 })).toBe('');
+  });
+});
+
+describe('partials', () => {
+  beforeEach(() => {
+    liquidFileCache.set(SNIPPET_PATH, '--gap-{{ name }}: {{ size | default: 4 }}px;{{ outer }}');
+  });
+
+  test('renders snippets in their own scope with named arguments', () => {
+    expect(render("{% assign outer = 'x' %}{% render 'gap', name: 'sm', size: 2 %}")).toBe('--gap-sm: 2px;');
+  });
+
+  test('renders snippets with and for parameters', () => {
+    expect(render("{% render 'gap' with 8 as size, name: 'lg' %}")).toBe('--gap-lg: 8px;');
+    const sizes = [1, 2];
+    expect(render("{% render 'gap' for sizes as size, name: 'n' %}", { sizes })).toBe('--gap-n: 1px;--gap-n: 2px;');
+  });
+
+  test('shares the caller scope with include', () => {
+    expect(render("{% assign outer = 'x' %}{% include 'gap', name: 'md' %}")).toBe('--gap-md: 4px;x');
+  });
+
+  test('does not render a snippet into itself', () => {
+    liquidFileCache.set(SNIPPET_PATH, "a{% render 'gap' %}");
+    expect(render("{% render 'gap' %}")).toBe('a');
+  });
+});
+
+describe('filters', () => {
+  test('divided_by floors integer division and keeps float division', () => {
+    expect(evaluateLiquidExpression('10 | divided_by: 4', {})).toBe(2);
+    expect(evaluateLiquidExpression('-7 | divided_by: 2', {})).toBe(-4);
+    expect(evaluateLiquidExpression('10 | divided_by: 4.0', {})).toBe(2.5);
+    expect(evaluateLiquidExpression('10.5 | divided_by: 2', {})).toBe(5.25);
+    expect(evaluateLiquidExpression("'9.0' | divided_by: 2", {})).toBe(4.5);
+  });
+
+  test('divided_by and modulo return 0 for a zero divisor', () => {
+    expect(evaluateLiquidExpression('1 | divided_by: 0', {})).toBe(0);
+    expect(evaluateLiquidExpression('1 | modulo: 0', {})).toBe(0);
+  });
+
+  test('math filters avoid floating point noise and follow the divisor sign in modulo', () => {
+    expect(evaluateLiquidExpression('0.1 | times: 3', {})).toBe(0.3);
+    expect(evaluateLiquidExpression('-7 | modulo: 3', {})).toBe(2);
+  });
+
+  test('chains string and array filters', () => {
+    expect(render("{{ 'a,b' | split: ',' | join: '-' | upcase }}")).toBe('A-B');
+    expect(render("{{ nil | default: 'fallback' }}")).toBe('fallback');
+  });
+
+  test('applies color filters like Shopify', () => {
+    expect(evaluateLiquidExpression("'#7ab55c' | color_lighten: 30", {})).toBe('#d0e5c5');
+    expect(evaluateLiquidExpression("'#7ab55c' | color_desaturate: 30", {})).toBe('#869180');
+    expect(evaluateLiquidExpression("'#7ab55c' | color_brightness", {})).toBe(153.21);
+  });
+});
+
+describe('settings', () => {
+  test('reads settings_data values and falls back to schema defaults', () => {
+    setThemeSettings({ radius: 6 }, { spacing: 4 });
+    expect(render('{{ settings.radius }}/{{ settings.spacing }}')).toBe('6/4');
+  });
+});
+
+describe('fonts', () => {
+  beforeEach(() => {
+    setThemeSettings({ body: 'inter_n4', system: 'helvetica_n4', custom: 'comic_n4' }, {});
+  });
+
+  test('reads font properties of font_picker handles from the catalog', () => {
+    const source = '{{ settings.body.family }}, {{ settings.body.fallback_families }} {{ settings.body.weight }}';
+    expect(render(source)).toBe('Inter, sans-serif 400');
+    expect(render('{{ settings.body.style }} {{ settings.body.variants | size }}')).toBe('normal 18');
+  });
+
+  test('font_modify picks variants by weight and style', () => {
+    expect(render("{{ settings.body | font_modify: 'weight', 'bold' }}")).toBe('inter_n7');
+    expect(render("{{ settings.body | font_modify: 'weight', '+100' }}")).toBe('inter_n5');
+    expect(render("{{ settings.body | font_modify: 'weight', 'lighter' }}")).toBe('inter_n3');
+    expect(render("{{ settings.body | font_modify: 'style', 'italic' }}")).toBe('inter_i4');
+    expect(render("{{ settings.body | font_modify: 'weight', '950' | default: 'none' }}")).toBe('none');
+  });
+
+  test('font_face renders @font-face rules for library fonts only', () => {
+    expect(render("{{ settings.body | font_face: font_display: 'swap' }}")).toBe(`@font-face {
+  font-family: "Inter";
+  font-weight: 400;
+  font-style: normal;
+  font-display: swap;
+  src: url("//fonts.shopifycdn.com/inter/inter_n4.woff2") format("woff2"),
+       url("//fonts.shopifycdn.com/inter/inter_n4.woff") format("woff");
+}`);
+    expect(render('{{ settings.system | font_face }}')).toBe('');
+  });
+
+  test('falls back to the handle for families missing from the catalog', () => {
+    expect(render("{{ settings.custom | font_face }}|{{ settings.custom | font_modify: 'weight', 'bold' }}")).toBe(
+      'comic_n4|comic_n4',
+    );
+    expect(render('{{ settings.custom.family }}')).toBe('[custom.family]');
+  });
+});
+
+describe('source mapping', () => {
+  const source = "{% style %}\n  :root {\n    {% render 'gap', name: 'md' %}\n    --width: 1px;\n  }\n{% endstyle %}";
+
+  beforeEach(() => {
+    liquidFileCache.set(LAYOUT_PATH, source);
+    liquidFileCache.set(SNIPPET_PATH, '--gap-{{ name }}: 4px;');
+  });
+
+  test('records style block ranges in the rendered output', () => {
+    const rendered = liquidToCSS(source, 0, {}, LAYOUT_PATH);
+    const [[start, end]] = getRenderedCssBlocks(rendered);
+    expect(rendered.text.substring(start, end).trim()).toBe(':root {\n    --gap-md: 4px;\n    --width: 1px;\n  }');
+  });
+
+  test('maps output offsets back to the file and position they were rendered from', () => {
+    const rendered = liquidToCSS(source, 0, {}, LAYOUT_PATH);
+    const mapping = { ...rendered, lineStarts: new Map() };
+
+    expect(getSourcePosition(mapping, rendered.text.indexOf('--width'))).toEqual({
+      filePath: LAYOUT_PATH,
+      line: 3,
+      character: 4,
+    });
+    expect(getSourcePosition(mapping, rendered.text.indexOf('--gap-md'))).toEqual({
+      filePath: SNIPPET_PATH,
+      line: 0,
+      character: 0,
+    });
+  });
+
+  test('offsets account for a base offset into the file', () => {
+    const prefix = '<div>\n';
+    const rendered = liquidToCSS("{{ 'x' }}--y", prefix.length, {}, LAYOUT_PATH);
+    liquidFileCache.set(LAYOUT_PATH, `${prefix}{{ 'x' }}--y`);
+    const position = getSourcePosition({ ...rendered, lineStarts: new Map() }, rendered.text.indexOf('--y'));
+    expect(position).toEqual({ filePath: LAYOUT_PATH, line: 1, character: 9 });
+  });
+});
@@ -0,0 +1,474 @@
+// Minimal stand-in for the vscode API used by src/extension.js (mapped to "vscode" in the jest config).
+// Providers and commands registered by activate() are collected in __registry
+
+const fs = require('fs');
+const path = require('path');
+
+class Position {
+  constructor(line, character) {
+    this.line = line;
+    this.character = character;
+  }
+
+  isBefore(other) {
+    return this.line < other.line || (this.line === other.line && this.character < other.character);
+  }
+
+  isEqual(other) {
+    return this.line === other.line && this.character === other.character;
+  }
+
+  translate(lineDelta = 0, characterDelta = 0) {
+    return new Position(this.line + lineDelta, this.character + characterDelta);
+  }
+}
+
+class Range {
+  constructor(startOrLine, endOrCharacter, endLine, endCharacter) {
+    if (typeof startOrLine === 'number') {
+      this.start = new Position(startOrLine, endOrCharacter);
+      this.end = new Position(endLine, endCharacter);
+    } else {
+      this.start = startOrLine;
+      this.end = endOrCharacter;
+    }
+  }
+
+  contains(positionOrRange) {
+    if (positionOrRange instanceof Range) {
+      return this.contains(positionOrRange.start) && this.contains(positionOrRange.end);
+    }
+    return !positionOrRange.isBefore(this.start) && !this.end.isBefore(positionOrRange);
+  }
+
+  intersection(other) {
+    const start = this.start.isBefore(other.start) ? other.start : this.start;
+    const end = this.end.isBefore(other.end) ? this.end : other.end;
+    return end.isBefore(start) ? undefined : new Range(start, end);
+  }
+}
+
+class Uri {
+  constructor(fsPath) {
+    this.fsPath = fsPath;
+    this.path = fsPath;
+    this.scheme = 'file';
+  }
+
+  static file(fsPath) {
+    return new Uri(fsPath);
+  }
+
+  toString() {
+    return `file://${this.fsPath}`;
+  }
+}
+
+class Location {
+  constructor(uri, rangeOrPosition) {
+    this.uri = uri;
+    this.range = rangeOrPosition instanceof Position ? new Range(rangeOrPosition, rangeOrPosition) : rangeOrPosition;
+  }
+}
+
+class MarkdownString {
+  constructor(value = '') {
+    this.value = value;
+  }
+
+  appendMarkdown(value) {
+    this.value += value;
+    return this;
+  }
+
+  appendText(value) {
+    this.value += value;
+    return this;
+  }
+
+  appendCodeblock(code, language = '') {
+    this.value += `\n\`\`\`${language}\n${code}\n\`\`\`\n`;
+    return this;
+  }
+}
+
+class Hover {
+  constructor(contents, range) {
+    this.contents = Array.isArray(contents) ? contents : [contents];
+    this.range = range;
+  }
+}
+
+class CompletionItem {
+  constructor(label, kind) {
+    this.label = label;
+    this.kind = kind;
+  }
+}
+
+class TextEdit {
+  constructor(range, newText) {
+    this.range = range;
+    this.newText = newText;
+  }
+
+  static replace(range, newText) {
+    return new TextEdit(range, newText);
+  }
+
+  static delete(range) {
+    return new TextEdit(range, '');
+  }
+}
+
+class WorkspaceEdit {
+  constructor() {
+    this.edits = [];
+  }
+
+  replace(uri, range, newText) {
+    this.edits.push({ uri, range, newText });
+  }
+
+  delete(uri, range) {
+    this.edits.push({ uri, range, newText: '' });
+  }
+
+  insert(uri, position, newText) {
+    this.edits.push({ uri, range: new Range(position, position), newText });
+  }
+
+  get size() {
+    return new Set(this.edits.map((edit) => edit.uri.toString())).size;
+  }
+}
+
+class CodeActionKind {
+  constructor(value) {
+    this.value = value;
+  }
+
+  contains(other) {
+    return other.value === this.value || other.value.startsWith(`${this.value}.`);
+  }
+}
+CodeActionKind.QuickFix = new CodeActionKind('quickfix');
+CodeActionKind.RefactorRewrite = new CodeActionKind('refactor.rewrite');
+
+class CodeAction {
+  constructor(title, kind) {
+    this.title = title;
+    this.kind = kind;
+  }
+}
+
+class Diagnostic {
+  constructor(range, message, severity) {
+    this.range = range;
+    this.message = message;
+    this.severity = severity;
+  }
+}
+
+class Color {
+  constructor(red, green, blue, alpha) {
+    Object.assign(this, { red, green, blue, alpha });
+  }
+}
+
+class ColorInformation {
+  constructor(range, color) {
+    this.range = range;
+    this.color = color;
+  }
+}
+
+class ColorPresentation {
+  constructor(label) {
+    this.label = label;
+  }
+}
+
+class SymbolInformation {
+  constructor(name, kind, containerName, location) {
+    Object.assign(this, { name, kind, containerName, location });
+  }
+}
+
+class DocumentSymbol {
+  constructor(name, detail, kind, range, selectionRange) {
+    Object.assign(this, { name, detail, kind, range, selectionRange, children: [] });
+  }
+}
+
+class InlayHint {
+  constructor(position, label, kind) {
+    Object.assign(this, { position, label, kind });
+  }
+}
+
+class EventEmitter {
+  constructor() {
+    this.listeners = [];
+    this.event = (listener) => {
+      this.listeners.push(listener);
+      return { dispose: () => this.listeners.splice(this.listeners.indexOf(listener), 1) };
+    };
+  }
+
+  fire(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  dispose() {
+    this.listeners = [];
+  }
+}
+
+class RelativePattern {
+  constructor(base, pattern) {
+    this.baseUri = base.uri || Uri.file(base);
+    this.pattern = pattern;
+  }
+}
+
+const disposable = { dispose() {} };
+
+const __registry = {
+  configuration: {}, // liquidCssVariables.* settings returned by getConfiguration (keys without the prefix)
+  providers: {}, // kind -> registered provider instances
+  commands: {},
+  watchers: [], // { pattern, change, create, delete } with the registered listeners
+  diagnostics: null, // Last created diagnostic collection
+  textDocumentChanges: new EventEmitter(), // Fire { document } to simulate an edit
+  messages: [],
+  quickPickAnswers: [], // Item labels (or functions picking from the items) returned by showQuickPick in order
+};
+
+/**
+ * Converts a glob (**, *, ?, {a,b}) to a regex source matching paths relative to the pattern base
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      let depth = 0;
+      let end = i;
+      const alternatives = [];
+      let start = i + 1;
+      for (; end < glob.length; end++) {
+        if (glob[end] === '{') depth++;
+        if (glob[end] === '}' && --depth === 0) break;
+        if (glob[end] === ',' && depth === 1) {
+          alternatives.push(glob.substring(start, end));
+          start = end + 1;
+        }
+      }
+      alternatives.push(glob.substring(start, end));
+      source += `(?:${alternatives.map(globToRegExpSource).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+function matchesGlob(relativePath, glob) {
+  return new RegExp(`^${globToRegExpSource(glob)}$`).test(relativePath);
+}
+
+function listFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Creates a text document over a fixed text (languageId defaults to the file extension)
+ */
+function __createTextDocument(text, fsPath, languageId = path.extname(fsPath).slice(1)) {
+  const lines = text.split('\n');
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const document = {
+    uri: Uri.file(fsPath),
+    fileName: fsPath,
+    languageId,
+    lineCount: lines.length,
+    isDirty: false,
+    getText: (range) => (range ? text.substring(document.offsetAt(range.start), document.offsetAt(range.end)) : text),
+    lineAt: (lineOrPosition) => {
+      const line = typeof lineOrPosition === 'number' ? lineOrPosition : lineOrPosition.line;
+      return {
+        lineNumber: line,
+        text: lines[line],
+        range: new Range(line, 0, line, lines[line].length),
+        rangeIncludingLineBreak:
+          line < lines.length - 1 ? new Range(line, 0, line + 1, 0) : new Range(line, 0, line, lines[line].length),
+      };
+    },
+    offsetAt: (position) => Math.min(lineStarts[position.line] + position.character, text.length),
+    positionAt: (offset) => {
+      offset = Math.max(0, Math.min(offset, text.length));
+      let line = lineStarts.length - 1;
+      while (lineStarts[line] > offset) line--;
+      return new Position(line, offset - lineStarts[line]);
+    },
+    getWordRangeAtPosition: (position, regex = /[\w-]+/) => {
+      const pattern = new RegExp(regex.source, 'g');
+      let match;
+      while ((match = pattern.exec(lines[position.line])) !== null) {
+        const end = match.index + match[0].length;
+        if (match.index <= position.character && end >= position.character) {
+          return new Range(position.line, match.index, position.line, end);
+        }
+        if (!match[0]) pattern.lastIndex++;
+      }
+      return undefined;
+    },
+  };
+  return document;
+}
+
+const workspace = {
+  workspaceFolders: undefined, // Set by tests: [{ uri, name, index }]
+  textDocuments: [],
+  fs: {
+    readFile: async (uri) => fs.readFileSync(uri.fsPath),
+  },
+  getConfiguration: () => ({
+    get: (key, defaultValue) => (key in __registry.configuration ? __registry.configuration[key] : defaultValue),
+  }),
+  findFiles: async (include, exclude) => {
+    const base = include.baseUri.fsPath;
+    return listFiles(base)
+      .map((filePath) => path.relative(base, filePath).split(path.sep).join('/'))
+      .filter((relativePath) => matchesGlob(relativePath, include.pattern))
+      .filter((relativePath) => !exclude || !matchesGlob(relativePath, exclude))
+      .map((relativePath) => Uri.file(path.join(base, relativePath)));
+  },
+  openTextDocument: async (uri) => {
+    const open = workspace.textDocuments.find((document) => document.uri.fsPath === uri.fsPath);
+    return open || __createTextDocument(fs.readFileSync(uri.fsPath, 'utf8'), uri.fsPath);
+  },
+  createFileSystemWatcher: (pattern) => {
+    const watcher = { pattern, change: [], create: [], delete: [], dispose() {} };
+    watcher.onDidChange = (listener) => watcher.change.push(listener);
+    watcher.onDidCreate = (listener) => watcher.create.push(listener);
+    watcher.onDidDelete = (listener) => watcher.delete.push(listener);
+    __registry.watchers.push(watcher);
+    return watcher;
+  },
+  onDidChangeConfiguration: () => disposable,
+  onDidChangeTextDocument: __registry.textDocumentChanges.event,
+};
+
+const window = {
+  showInformationMessage: async (message) => {
+    __registry.messages.push(message);
+  },
+  showWarningMessage: async (message) => {
+    __registry.messages.push(message);
+  },
+  showErrorMessage: async (message) => {
+    __registry.messages.push(message);
+  },
+  showQuickPick: async (items) => {
+    const answer = __registry.quickPickAnswers.shift();
+    return typeof answer === 'function' ? answer(await items) : (await items).find((item) => item.label === answer);
+  },
+  showTextDocument: async () => undefined,
+  createStatusBarItem: () => ({ text: '', tooltip: '', show() {}, hide() {}, dispose() {} }),
+};
+
+const registerProvider =
+  (kind) =>
+  (...args) => {
+    const provider = args.find((arg) => arg && typeof arg === 'object' && !Array.isArray(arg));
+    (__registry.providers[kind] = __registry.providers[kind] || []).push(provider);
+    return disposable;
+  };
+
+const languages = {
+  createDiagnosticCollection: () => {
+    const diagnostics = new Map();
+    __registry.diagnostics = {
+      set: (uri, entries) => diagnostics.set(uri.toString(), { uri, entries }),
+      get: (uri) => (diagnostics.get(uri.toString()) || {}).entries,
+      delete: (uri) => diagnostics.delete(uri.toString()),
+      clear: () => diagnostics.clear(),
+      forEach: (callback) => diagnostics.forEach(({ uri, entries }) => callback(uri, entries)),
+      dispose() {},
+    };
+    return __registry.diagnostics;
+  },
+  registerCompletionItemProvider: registerProvider('completion'),
+  registerHoverProvider: registerProvider('hover'),
+  registerDefinitionProvider: registerProvider('definition'),
+  registerReferenceProvider: registerProvider('reference'),
+  registerRenameProvider: registerProvider('rename'),
+  registerColorProvider: registerProvider('color'),
+  registerWorkspaceSymbolProvider: registerProvider('workspaceSymbol'),
+  registerInlayHintsProvider: registerProvider('inlayHints'),
+  registerDocumentSymbolProvider: registerProvider('documentSymbol'),
+  registerCodeActionsProvider: registerProvider('codeAction'),
+};
+
+const commands = {
+  registerCommand: (id, callback) => {
+    __registry.commands[id] = callback;
+    return disposable;
+  },
+  executeCommand: async (id, ...args) => __registry.commands[id](...args),
+};
+
+module.exports = {
+  Position,
+  Range,
+  Uri,
+  Location,
+  MarkdownString,
+  Hover,
+  CompletionItem,
+  CompletionItemKind: { Variable: 5 },
+  TextEdit,
+  WorkspaceEdit,
+  CodeActionKind,
+  CodeAction,
+  Diagnostic,
+  DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+  DiagnosticTag: { Unnecessary: 1 },
+  Color,
+  ColorInformation,
+  ColorPresentation,
+  SymbolKind: { Module: 1, Namespace: 2, Class: 4, Variable: 12 },
+  SymbolInformation,
+  DocumentSymbol,
+  InlayHint,
+  EventEmitter,
+  RelativePattern,
+  StatusBarAlignment: { Left: 1, Right: 2 },
+  QuickPickItemKind: { Separator: -1 },
+  workspace,
+  window,
+  languages,
+  commands,
+  __registry,
+  __createTextDocument,
+};